@@ -0,0 +1,215 @@
+/**
+ * ad-cards.mjs - extração profunda (opcional) dos cards de anúncio visíveis na Ad Library
+ *
+ * Além do contador, percorre os cards da página e registra por anúncio:
+ *   library_id, started_at (data de início de veiculação), platforms, ad_text, landing_url
+ * rolando a página para carregar mais cards até `limit` (DEEP_EXTRACT_LIMIT no scraper.mjs).
+ *
+ * A coleta dentro da página (injectedCollectAdCardsForEvaluate) só devolve textos crus; datas,
+ * plataformas e o link de destino (l.facebook.com/l.php?u=...) são normalizados aqui em Node,
+ * como no parse-ad-count.mjs.
+ *
+ * SQL recomendado (execute no Supabase SQL editor se ainda não executou):
+ *   CREATE TABLE IF NOT EXISTS swipe_file_offer_ads (
+ *     offer_id bigint NOT NULL REFERENCES swipe_file_offers(id) ON DELETE CASCADE,
+ *     library_id text NOT NULL,
+ *     started_at date,
+ *     platforms text[],
+ *     ad_text text,
+ *     landing_url text,
+ *     first_seen_at timestamptz NOT NULL DEFAULT now(),
+ *     last_seen_at timestamptz NOT NULL DEFAULT now(),
+ *     PRIMARY KEY (offer_id, library_id)
+ *   );
+ *
+ * Upsert por (offer_id, library_id): first_seen_at fica com a primeira vez que o anúncio foi visto,
+ * last_seen_at é atualizado a cada execução.
+ */
+
+import { getOfferRepository } from "./offer-repository.mjs";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SCROLL_PAUSE_MS = 1500;
+
+export const PLATFORMS = Object.freeze(["facebook", "instagram", "messenger", "audience_network", "threads", "whatsapp"]);
+
+/**
+ * In-page: encontra os cards pelo rótulo do Library ID e devolve os textos crus de cada um.
+ * Serializável (sem imports): roda via page.evaluate.
+ */
+export function injectedCollectAdCardsForEvaluate() {
+  const ID_RE = /(?:library id|id da biblioteca|identifica[çc][ãa]o da biblioteca|identificador de la biblioteca|id de la biblioteca|id dans la biblioth[èe]que|identifiant dans la biblioth[èe]que|bibliotheks-id|id libreria|id della libreria)\s*:?\s*(\d{6,})/i;
+  const ID_RE_GLOBAL = new RegExp(ID_RE.source, "gi");
+  const START_RE = /(started running|veicula[çc][ãa]o iniciada|circulando desde|empez[óo] a circular|en circulaci[óo]n desde|diffusion commenc[ée]e|a commenc[ée]|seit .* aktiv|gestartet am|iniziata|in esecuzione dal)/i;
+  const PLATFORM_RE = /facebook|instagram|messenger|audience network|threads|whatsapp/i;
+
+  const countIds = (el) => ((el.innerText || el.textContent || "").match(ID_RE_GLOBAL) || []).length;
+
+  const labels = Array.from(document.querySelectorAll("span, div")).filter(
+    (el) => el.children.length === 0 && ID_RE.test(el.textContent || "")
+  );
+
+  const cards = [];
+  const seen = new Set();
+  for (const label of labels) {
+    const libraryId = (label.textContent.match(ID_RE) || [])[1];
+    if (!libraryId || seen.has(libraryId)) continue;
+    seen.add(libraryId);
+
+    // Sobe até o maior ancestral que ainda contém um único Library ID (= o card)
+    let card = label;
+    for (let depth = 0; depth < 20 && card.parentElement && card.parentElement !== document.body; depth++) {
+      if (countIds(card.parentElement) > 1) break;
+      card = card.parentElement;
+    }
+
+    const lines = (card.innerText || card.textContent || "").split("\n").map((l) => l.trim()).filter(Boolean);
+    const startText = lines.find((l) => START_RE.test(l)) || null;
+
+    const platformLabels = Array.from(card.querySelectorAll("[aria-label], [title], img[alt]"))
+      .map((el) => el.getAttribute("aria-label") || el.getAttribute("title") || el.getAttribute("alt") || "")
+      .filter((l) => PLATFORM_RE.test(l));
+    // Ícones de plataforma costumam ser máscaras CSS: o nome aparece só na URL do sprite
+    const platformStyles = Array.from(card.querySelectorAll("[style*='mask-image']"))
+      .map((el) => el.getAttribute("style") || "")
+      .filter((s) => PLATFORM_RE.test(s));
+
+    const body = card.querySelector("div[style*='pre-wrap'], div[data-ad-preview='message']");
+    const links = Array.from(card.querySelectorAll("a[href]")).map((a) => a.href);
+
+    cards.push({
+      libraryId,
+      startText,
+      platformLabels: platformLabels.concat(platformStyles),
+      text: body ? (body.innerText || body.textContent || "").trim() : null,
+      links,
+    });
+  }
+  return cards;
+}
+
+const MONTHS = [
+  // ordem importa: "juil" antes de "jul"/"jui", "juin" antes de "jun"
+  [7, ["juil", "jul", "lug"]],
+  [6, ["juin", "jun", "giu"]],
+  [1, ["jan", "ene", "gen"]],
+  [2, ["feb", "fev"]],
+  [3, ["mar", "maa"]],
+  [4, ["apr", "abr", "avr"]],
+  [5, ["may", "mai", "mag", "mei"]],
+  [8, ["aug", "ago", "aou"]],
+  [9, ["sep", "set"]],
+  [10, ["oct", "out", "okt", "ott"]],
+  [11, ["nov"]],
+  [12, ["dec", "dez", "dic"]],
+];
+
+function monthFromWord(word) {
+  const w = word.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+  if (w.length < 3) return null;
+  for (const [month, prefixes] of MONTHS) {
+    if (prefixes.some((p) => w.startsWith(p))) return month;
+  }
+  return null;
+}
+
+/**
+ * "Started running on Mar 3, 2024" / "Veiculação iniciada em 3 de mar de 2024" /
+ * "Seit 3. März 2024 aktiv" -> "2024-03-03" (null se não reconhecer)
+ */
+export function parseAdStartDate(text) {
+  if (!text) return null;
+  const yearMatch = String(text).match(/\b(20\d{2}|19\d{2})\b/);
+  if (!yearMatch) return null;
+  const year = parseInt(yearMatch[1], 10);
+  const withoutYear = String(text).replace(yearMatch[0], " ");
+
+  let month = null;
+  for (const word of withoutYear.match(/\p{L}+/gu) || []) {
+    month = monthFromWord(word);
+    if (month) break;
+  }
+  const dayMatch = withoutYear.match(/\b(\d{1,2})\b/);
+  if (!month || !dayMatch) return null;
+  const day = parseInt(dayMatch[1], 10);
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+export function parsePlatforms(labels) {
+  const found = new Set();
+  for (const label of labels || []) {
+    const l = String(label).toLowerCase();
+    if (l.includes("audience network") || l.includes("audience_network")) found.add("audience_network");
+    for (const p of PLATFORMS) if (l.includes(p)) found.add(p);
+  }
+  return PLATFORMS.filter((p) => found.has(p));
+}
+
+/** Primeiro link que sai do Facebook (desembrulha l.facebook.com/l.php?u=...) */
+export function landingUrlFromLinks(links) {
+  for (const href of links || []) {
+    let url;
+    try { url = new URL(href); } catch (e) { continue; }
+    if (/(^|\.)facebook\.com$/.test(url.hostname) && url.pathname === "/l.php" && url.searchParams.get("u")) {
+      return url.searchParams.get("u");
+    }
+    if (!/(^|\.)(facebook|fb|instagram|messenger)\.com$/.test(url.hostname) && /^https?:$/.test(url.protocol)) {
+      return url.href;
+    }
+  }
+  return null;
+}
+
+/** Card cru (da página) -> registro normalizado */
+export function normalizeAdCard(raw) {
+  return {
+    libraryId: String(raw.libraryId),
+    startedAt: parseAdStartDate(raw.startText),
+    platforms: parsePlatforms(raw.platformLabels),
+    text: raw.text || null,
+    landingUrl: landingUrlFromLinks(raw.links),
+  };
+}
+
+/** Dias em veiculação até `now` (null sem data de início) */
+export function daysRunning(card, now = Date.now()) {
+  if (!card?.startedAt) return null;
+  return Math.max(0, Math.floor((now - Date.parse(card.startedAt)) / DAY_MS));
+}
+
+/**
+ * Coleta os cards da página rolando até `limit` anúncios (ou até parar de aparecer card novo).
+ * opts: limit, maxScrolls, scrollPauseMs
+ */
+export async function extractAdCards(page, { limit = 30, maxScrolls = 10, scrollPauseMs = DEFAULT_SCROLL_PAUSE_MS } = {}) {
+  const byId = new Map();
+  let idleScrolls = 0;
+  for (let scroll = 0; ; scroll++) {
+    const raw = await page.evaluate(injectedCollectAdCardsForEvaluate).catch(() => []);
+    const before = byId.size;
+    for (const r of raw) if (!byId.has(r.libraryId)) byId.set(r.libraryId, normalizeAdCard(r));
+    if (byId.size >= limit || scroll >= maxScrolls) break;
+    idleScrolls = byId.size === before ? idleScrolls + 1 : 0;
+    if (idleScrolls >= 2) break;
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight)).catch(() => null);
+    await page.waitForTimeout(scrollPauseMs);
+  }
+  return Array.from(byId.values()).slice(0, limit);
+}
+
+/** Grava (upsert) os cards de uma oferta. Retorna { data, error } como o client do Supabase. */
+export async function recordAdCards(offerId, cards, repo = getOfferRepository(), seenAt = new Date().toISOString()) {
+  if (!cards || cards.length === 0) return { data: [], error: null };
+  return repo.upsertAds(cards.map((c) => ({
+    offer_id: offerId,
+    library_id: c.libraryId,
+    started_at: c.startedAt,
+    platforms: c.platforms,
+    ad_text: c.text,
+    landing_url: c.landingUrl,
+    last_seen_at: seenAt,
+  })));
+}
@@ -0,0 +1,134 @@
+/**
+ * ad-library-url.mjs - parse, normalização e validação das URLs da Ad Library
+ *
+ * URL canônica:
+ *   https://www.facebook.com/ads/library/?active_status=active&ad_type=all&country=BR&media_type=all&search_type=page&view_all_page_id=<id>
+ *
+ * checkAdLibraryUrl(raw) -> { ok, url, params, problems, fixes }
+ *   ok        false quando a URL não tem como virar uma busca por página (status invalid_url)
+ *   url       forma canônica (null se !ok)
+ *   params    { country, activeStatus, adType, mediaType, searchType, pageId, query }
+ *   problems  códigos que invalidam a URL (ver URL_PROBLEMS)
+ *   fixes     diferenças corrigidas pela normalização (domínio mobile, active_status, country minúsculo...)
+ *
+ * Os scripts checam as ofertas reservadas antes de navegar (preflightOffers): URL inválida vira
+ * status_updated = "invalid_url" sem gastar NAV_TIMEOUT. Auditoria de todas as URLs: audit-urls.mjs.
+ */
+
+export const INVALID_URL_REASON = "invalid_url";
+
+export const URL_PROBLEMS = Object.freeze({
+  EMPTY: "empty",
+  UNPARSEABLE: "unparseable",
+  NOT_FACEBOOK: "not_facebook",
+  NOT_AD_LIBRARY: "not_ad_library_path",
+  MISSING_PAGE_ID: "missing_view_all_page_id",
+  KEYWORD_SEARCH: "keyword_search_without_page_id",
+  SINGLE_AD: "single_ad_url",
+  INVALID_PAGE_ID: "invalid_page_id",
+  INVALID_COUNTRY: "invalid_country",
+});
+
+const CANONICAL_HOST = "www.facebook.com";
+const FACEBOOK_HOSTS_RE = /^(?:(?:www|m|mbasic|mobile|touch|web|business|pt-br|en-us|[a-z]{2}-[a-z]{2})\.)?(?:facebook|fb)\.com$/i;
+
+/** Page id do anunciante a partir do adLibraryUrl (null se a URL não trouxer) */
+export function pageIdFromAdLibraryUrl(adLibraryUrl) {
+  const { params } = checkAdLibraryUrl(adLibraryUrl);
+  return params.pageId && /^\d+$/.test(params.pageId) ? params.pageId : null;
+}
+
+export function checkAdLibraryUrl(raw) {
+  const problems = [];
+  const fixes = [];
+  const params = { country: null, activeStatus: null, adType: null, mediaType: null, searchType: null, pageId: null, query: null };
+  const invalid = (code) => ({ ok: false, url: null, params, problems: problems.concat(code), fixes });
+
+  const input = typeof raw === "string" ? raw.trim() : "";
+  if (!input) return invalid(URL_PROBLEMS.EMPTY);
+
+  let url;
+  try {
+    url = new URL(/^[a-z]+:\/\//i.test(input) ? input : `https://${input}`);
+  } catch (e) {
+    return invalid(URL_PROBLEMS.UNPARSEABLE);
+  }
+
+  if (!FACEBOOK_HOSTS_RE.test(url.hostname)) return invalid(URL_PROBLEMS.NOT_FACEBOOK);
+  if (url.hostname.toLowerCase() !== CANONICAL_HOST) fixes.push(`host:${url.hostname}`);
+  if (url.protocol !== "https:") fixes.push(`protocol:${url.protocol.replace(":", "")}`);
+  if (!/^\/ads\/library\/?$/i.test(url.pathname)) return invalid(URL_PROBLEMS.NOT_AD_LIBRARY);
+
+  const q = url.searchParams;
+  params.pageId = q.get("view_all_page_id");
+  params.query = q.get("q");
+  params.searchType = q.get("search_type");
+  params.activeStatus = (q.get("active_status") || "").toLowerCase() || null;
+  params.adType = (q.get("ad_type") || "").toLowerCase() || null;
+  params.mediaType = (q.get("media_type") || "").toLowerCase() || null;
+  params.country = q.get("country");
+
+  if (!params.pageId) {
+    if (q.get("id")) problems.push(URL_PROBLEMS.SINGLE_AD);
+    else if (params.query || params.searchType === "keyword_unordered" || params.searchType === "keyword_exact_phrase") problems.push(URL_PROBLEMS.KEYWORD_SEARCH);
+    else problems.push(URL_PROBLEMS.MISSING_PAGE_ID);
+  } else if (!/^\d+$/.test(params.pageId)) {
+    problems.push(URL_PROBLEMS.INVALID_PAGE_ID);
+  }
+
+  if (!params.country) {
+    fixes.push("country:missing->ALL");
+    params.country = "ALL";
+  } else if (/^(all|[a-z]{2})$/i.test(params.country)) {
+    if (params.country !== params.country.toUpperCase()) fixes.push(`country:${params.country}`);
+    params.country = params.country.toUpperCase();
+  } else {
+    problems.push(URL_PROBLEMS.INVALID_COUNTRY);
+  }
+
+  // O contador que gravamos é de anúncios ATIVOS de todos os tipos
+  if (params.activeStatus !== "active") {
+    fixes.push(`active_status:${params.activeStatus || "missing"}->active`);
+    params.activeStatus = "active";
+  }
+  if (params.adType !== "all") {
+    fixes.push(`ad_type:${params.adType || "missing"}->all`);
+    params.adType = "all";
+  }
+  if (params.searchType !== "page") {
+    if (params.searchType) fixes.push(`search_type:${params.searchType}->page`);
+    params.searchType = "page";
+  }
+  params.mediaType = params.mediaType || "all";
+
+  if (problems.length) return { ok: false, url: null, params, problems, fixes };
+  return { ok: true, url: buildAdLibraryUrl(params), params, problems, fixes };
+}
+
+/** Monta a URL canônica a partir dos params (country pode ser trocado para a busca por país) */
+export function buildAdLibraryUrl({ pageId, country = "ALL", activeStatus = "active", adType = "all", mediaType = "all" }) {
+  const q = new URLSearchParams({
+    active_status: activeStatus,
+    ad_type: adType,
+    country,
+    media_type: mediaType,
+    search_type: "page",
+    view_all_page_id: pageId,
+  });
+  return `https://${CANONICAL_HOST}/ads/library/?${q.toString()}`;
+}
+
+/**
+ * Separa ofertas reservadas em válidas (com adLibraryUrl já canônica, só em memória) e inválidas.
+ * Retorna { valid: offer[], invalid: [{ offer, check }] }.
+ */
+export function preflightOffers(offers) {
+  const valid = [];
+  const invalid = [];
+  for (const offer of offers || []) {
+    const check = checkAdLibraryUrl(offer?.adLibraryUrl);
+    if (check.ok) valid.push({ ...offer, adLibraryUrl: check.url, storedAdLibraryUrl: offer.adLibraryUrl });
+    else invalid.push({ offer, check });
+  }
+  return { valid, invalid };
+}
@@ -0,0 +1,128 @@
+/**
+ * adaptive-pool.mjs - pool de páginas com concorrência adaptativa (AIMD) para o scraper.mjs
+ *
+ * Em vez de Promise.all sobre lotes fixos de PARALLEL (uma página lenta segurava o lote inteiro),
+ * o pool mantém `limit` ofertas em voo o tempo todo: cada uma que termina já libera a vaga para a
+ * próxima (work-stealing da fila local, reabastecida pelo claim_offers).
+ *
+ * O limite se ajusta sozinho, como o controle de congestionamento do TCP:
+ * - diminuição multiplicativa: quando a taxa de block+timeout nas últimas `window` ofertas passa de
+ *   `badRate`, limit = max(min, floor(limit * decreaseFactor)). Só uma redução por "época": resultados
+ *   ruins de ofertas que começaram antes da última redução não derrubam o limite de novo.
+ * - aumento aditivo: +1 depois de `limit` sucessos seguidos desde a última mudança, até `max`.
+ * - backoff(reason): o chamador derruba o limite para `min` (o scraper.mjs faz isso junto com a pausa
+ *   do next() depois de muitos bloqueios confirmados).
+ *
+ * Env (scraper.mjs): PARALLEL (limite inicial), PARALLEL_MIN (default 1), PARALLEL_MAX (default 2x PARALLEL),
+ * PARALLEL_BAD_RATE (default 0.3), PARALLEL_WINDOW (default 10).
+ */
+
+export const POOL_OUTCOMES = Object.freeze({
+  SUCCESS: "success",
+  FAILURE: "failure", // contador não encontrado sem sinal de bloqueio (não mexe no limite)
+  BLOCK: "block",
+  TIMEOUT: "timeout",
+});
+
+const BAD_OUTCOMES = [POOL_OUTCOMES.BLOCK, POOL_OUTCOMES.TIMEOUT];
+
+/**
+ * Controlador AIMD. start() devolve um token (época atual) e finish(token, outcome) registra o resultado.
+ * onChange(limit, previous, reason) é chamado a cada mudança do limite (para log/métricas).
+ */
+export function createAimdController({
+  initial,
+  min = 1,
+  max = initial,
+  window = 10,
+  badRate = 0.3,
+  decreaseFactor = 0.5,
+  onChange = () => {},
+} = {}) {
+  const lo = Math.max(1, min);
+  const hi = Math.max(lo, max);
+  let limit = Math.min(hi, Math.max(lo, initial || lo));
+  let epoch = 0;
+  let successStreak = 0;
+  const recent = [];
+
+  function set(next, reason) {
+    if (next === limit) return;
+    const previous = limit;
+    limit = next;
+    successStreak = 0;
+    onChange(limit, previous, reason);
+  }
+
+  return {
+    limit: () => limit,
+    bounds: () => ({ min: lo, max: hi }),
+
+    start() {
+      return epoch;
+    },
+
+    /** Backoff externo (ex.: muitos bloqueios no worker): limite vai para o mínimo e abre nova época */
+    backoff(reason) {
+      epoch++;
+      set(lo, reason);
+    },
+
+    finish(token, outcome) {
+      if (!outcome) return;
+      recent.push(outcome);
+      if (recent.length > window) recent.shift();
+
+      if (BAD_OUTCOMES.includes(outcome)) {
+        successStreak = 0;
+        const rate = recent.filter((o) => BAD_OUTCOMES.includes(o)).length / recent.length;
+        if (token === epoch && rate >= badRate && limit > lo) {
+          epoch++;
+          set(Math.max(lo, Math.floor(limit * decreaseFactor)), `${outcome} (${Math.round(rate * 100)}% ruins nas últimas ${recent.length})`);
+        }
+        return;
+      }
+      if (outcome === POOL_OUTCOMES.SUCCESS) {
+        successStreak++;
+        if (successStreak >= limit && limit < hi) set(limit + 1, `${successStreak} sucessos seguidos`);
+      }
+    },
+  };
+}
+
+/**
+ * Roda `run(item)` com até controller.limit() itens em voo. `next()` devolve o próximo item ou
+ * null quando a fila acabou. run deve resolver com um POOL_OUTCOMES (ou null para ignorar);
+ * exceções contam como failure e não derrubam o pool.
+ * Se next() lançar, o pool para de pegar itens, espera os que estão em voo e resolve com
+ * { nextError } (null quando a fila acabou normalmente).
+ */
+export async function runAdaptivePool({ next, run, controller }) {
+  const inFlight = new Set();
+  let exhausted = false;
+  let nextError = null;
+  for (;;) {
+    while (!exhausted && inFlight.size < controller.limit()) {
+      let item;
+      try {
+        item = await next();
+      } catch (e) {
+        nextError = e;
+        item = null;
+      }
+      if (item === null || item === undefined) {
+        exhausted = true;
+        break;
+      }
+      const token = controller.start();
+      const task = Promise.resolve()
+        .then(() => run(item))
+        .then((outcome) => controller.finish(token, outcome), () => controller.finish(token, POOL_OUTCOMES.FAILURE))
+        .finally(() => inFlight.delete(task));
+      inFlight.add(task);
+    }
+    if (inFlight.size === 0) break;
+    await Promise.race(inFlight);
+  }
+  return { nextError };
+}
@@ -0,0 +1,96 @@
+/**
+ * advertiser.mjs - metadados da página anunciante (nome, page id, categoria, curtidas)
+ *
+ * O nome vem do heading aria-level=1 da Ad Library (o mesmo que a função da extensão já lia);
+ * categoria e curtidas vêm das linhas do cabeçalho logo abaixo dele, quando a página mostra.
+ * O page id sai do próprio adLibraryUrl (view_all_page_id, ver ad-library-url.mjs).
+ *
+ * SQL recomendado (execute no Supabase SQL editor se ainda não executou):
+ *   ALTER TABLE swipe_file_offers ADD COLUMN IF NOT EXISTS advertiser_name text;
+ *   ALTER TABLE swipe_file_offers ADD COLUMN IF NOT EXISTS advertiser_page_id text;
+ *   ALTER TABLE swipe_file_offers ADD COLUMN IF NOT EXISTS advertiser_category text;
+ *   ALTER TABLE swipe_file_offers ADD COLUMN IF NOT EXISTS advertiser_likes integer;
+ *   ALTER TABLE swipe_file_offers ADD COLUMN IF NOT EXISTS advertiser_previous_name text;
+ *   ALTER TABLE swipe_file_offers ADD COLUMN IF NOT EXISTS advertiser_name_changed boolean DEFAULT false;
+ *
+ * advertiser_name_changed = true quando o nome lido difere do gravado na execução anterior
+ * (página renomeada ou URL apontando para outro anunciante); advertiser_previous_name guarda o antigo.
+ * A flag volta a false na próxima execução em que o nome se mantiver.
+ */
+
+import { parseCountFollowedBy } from "./parse-ad-count.mjs";
+import { pageIdFromAdLibraryUrl } from "./ad-library-url.mjs";
+
+const LIKE_WORDS = [
+  "curtidas", "curtida", "likes", "like", "me gusta", "j’aime", "j'aime", "mention j’aime", "mentions j’aime",
+  "gefällt mir", "mi piace", "vind-ik-leuks", "polubień", "beğenme",
+];
+const LIKES_LINE_RE = new RegExp(LIKE_WORDS.map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|"), "i");
+
+/** In-page: nome do anunciante + linhas de texto do cabeçalho. Serializável (roda via page.evaluate). */
+export function injectedGetAdvertiserDetailsForEvaluate() {
+  const heading = document.querySelector('div[role="heading"][aria-level="1"]');
+  if (!heading) return { name: null, headerLines: [] };
+  const name = (heading.innerText || heading.textContent || "").trim() || null;
+  // Sobe alguns níveis para pegar o bloco do cabeçalho (nome + categoria + curtidas), sem chegar nos resultados
+  let header = heading;
+  for (let depth = 0; depth < 4 && header.parentElement; depth++) {
+    const parent = header.parentElement;
+    if (parent.querySelector('div[role="heading"][aria-level="3"]')) break;
+    header = parent;
+  }
+  const headerLines = (header.innerText || header.textContent || "")
+    .split(/\n|·/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+  return { name, headerLines };
+}
+
+/** { name, headerLines } crus -> { name, category, likes } */
+export function parseAdvertiserHeader({ name = null, headerLines = [] } = {}) {
+  let likes = null;
+  let category = null;
+  for (const line of headerLines) {
+    if (line === name) continue;
+    if (likes === null && LIKES_LINE_RE.test(line)) {
+      const parsed = parseCountFollowedBy(line, LIKE_WORDS);
+      if (parsed) { likes = parsed.count; continue; }
+    }
+    // Categoria: primeiro trecho curto sem dígitos, que não é @handle nem o nome
+    if (category === null && !/\d/.test(line) && !line.startsWith("@") && line.length <= 60 && !LIKES_LINE_RE.test(line)) {
+      category = line;
+    }
+  }
+  return { name: name && name !== "Unknown" ? name : null, category, likes };
+}
+
+/** Coleta os metadados do anunciante na página atual. Nunca lança: campos ausentes ficam null. */
+export async function extractAdvertiser(page, offer) {
+  const raw = await page.evaluate(injectedGetAdvertiserDetailsForEvaluate).catch(() => null);
+  return { ...parseAdvertiserHeader(raw || {}), pageId: pageIdFromAdLibraryUrl(offer?.adLibraryUrl) };
+}
+
+function sameName(a, b) {
+  const norm = (s) => String(s).normalize("NFKC").replace(/\s+/g, " ").trim().toLowerCase();
+  return norm(a) === norm(b);
+}
+
+/**
+ * Patch de DB com os metadados; só sobrescreve campos que foram encontrados nesta execução.
+ * Compara o nome com o gravado (offer.advertiser_name) para marcar advertiser_name_changed.
+ */
+export function advertiserPatch(offer, advertiser) {
+  const patch = {};
+  if (!advertiser) return patch;
+  if (advertiser.pageId) patch.advertiser_page_id = advertiser.pageId;
+  if (advertiser.category) patch.advertiser_category = advertiser.category;
+  if (advertiser.likes !== null && advertiser.likes !== undefined) patch.advertiser_likes = advertiser.likes;
+  if (advertiser.name) {
+    const previous = offer?.advertiser_name;
+    const changed = Boolean(previous) && !sameName(previous, advertiser.name);
+    patch.advertiser_name = advertiser.name;
+    patch.advertiser_name_changed = changed;
+    if (changed) patch.advertiser_previous_name = previous;
+  }
+  return patch;
+}
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * aggregate-run-reports.mjs - junta os relatórios JSON dos workers (run-metrics.mjs) num resumo da execução
+ *
+ * USO:
+ *   node aggregate-run-reports.mjs [dir]                        # default: RUN_REPORT_DIR ou ./run-reports
+ *   node aggregate-run-reports.mjs run-reports --out run-summary.json
+ *   node aggregate-run-reports.mjs run-reports --min-success-rate 0.8   # exit 1 se a taxa de sucesso cair abaixo
+ *
+ * O resumo traz o total e um bloco por script e modo (scraper:stale / scraper:nulls ...), com taxa de sucesso,
+ * bloqueios confirmados, erros por motivo e p50/p95 recalculados das amostras de todos os workers.
+ * O resumo por script sai no stdout; avisos e erros pelo logger.mjs (LOG_FORMAT / LOG_LEVEL).
+ */
+
+import fs from "fs";
+import path from "path";
+import { RUN_REPORT_DIR, mergeReports } from "./run-metrics.mjs";
+import { LOG_PHASES, createLogger } from "./logger.mjs";
+
+const log = createLogger({ script: "aggregate-run-reports" });
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) { args._.push(a); continue; }
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) args[a.slice(2)] = true;
+    else { args[a.slice(2)] = next; i++; }
+  }
+  return args;
+}
+
+/** Lista os .json do diretório (recursivo: o download de artifacts cria uma pasta por worker) */
+function findReportFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...findReportFiles(full));
+    else if (entry.name.endsWith(".json")) files.push(full);
+  }
+  return files;
+}
+
+function pct(v) {
+  return v === null ? "n/a" : `${(v * 100).toFixed(1)}%`;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const dir = args._[0] || RUN_REPORT_DIR;
+  if (!fs.existsSync(dir)) {
+    log.error(`❌ Diretório de relatórios não encontrado: ${dir}`, { phase: LOG_PHASES.REPORT, dir });
+    process.exit(1);
+  }
+
+  const reports = [];
+  for (const file of findReportFiles(dir)) {
+    try {
+      const report = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (report && typeof report.attempted === "number") reports.push(report);
+    } catch (e) {
+      log.warn(`⚠️ Ignorando ${file}`, { phase: LOG_PHASES.REPORT, file, err: e });
+    }
+  }
+  if (reports.length === 0) {
+    log.error(`❌ Nenhum relatório de worker em ${dir}`, { phase: LOG_PHASES.REPORT, dir });
+    process.exit(1);
+  }
+
+  const byScript = {};
+  for (const r of reports) (byScript[[r.script || "unknown", r.mode].filter(Boolean).join(":")] ||= []).push(r);
+
+  const summary = {
+    generatedAt: new Date().toISOString(),
+    total: mergeReports(reports),
+    scripts: Object.fromEntries(Object.entries(byScript).map(([script, rs]) => [script, mergeReports(rs)])),
+  };
+
+  const out = args.out && args.out !== true ? args.out : path.join(dir, "run-summary.json");
+  fs.writeFileSync(out, JSON.stringify(summary, null, 2) + "\n", "utf8");
+
+  for (const [script, s] of Object.entries(summary.scripts)) {
+    console.log(`📊 ${script}: ${s.workers} workers, ${s.successes}/${s.attempted} ok (${pct(s.successRate)}), ` +
+      `bloqueios=${s.confirmedBlocks}, retries=${s.retriesUsed}, p50=${s.latencyMs.p50}ms, p95=${s.latencyMs.p95}ms, render p50=${s.renderMs.p50}ms`);
+    if (Object.keys(s.errorsByReason).length) console.log(`   erros: ${JSON.stringify(s.errorsByReason)}`);
+    if (Object.keys(s.extractMethods).length) console.log(`   métodos: ${JSON.stringify(s.extractMethods)}`);
+  }
+  log.info(`🏁 Resumo gravado em ${out}`, { phase: LOG_PHASES.REPORT, file: out, reports: reports.length });
+
+  if (args["min-success-rate"] !== undefined) {
+    const min = parseFloat(args["min-success-rate"]);
+    const rate = summary.total.successRate;
+    if (rate !== null && rate < min) {
+      log.error(`💥 Taxa de sucesso ${pct(rate)} abaixo do mínimo ${pct(min)}`, { phase: LOG_PHASES.REPORT, success_rate: rate, min });
+      process.exit(1);
+    }
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  log.error("❌ Erro fatal", { phase: LOG_PHASES.REPORT, err });
+  process.exit(1);
+}
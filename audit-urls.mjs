@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * audit-urls.mjs - audita o adLibraryUrl de todas as ofertas (ad-library-url.mjs)
+ *
+ * USO:
+ *   node audit-urls.mjs                          # resumo + lista das URLs inválidas
+ *   node audit-urls.mjs --verbose                # também lista as URLs que só precisam de normalização
+ *   node audit-urls.mjs --json url-audit.json    # relatório completo em JSON
+ *   node audit-urls.mjs --fix                    # grava a forma canônica nas URLs válidas não canônicas
+ *   node audit-urls.mjs --fail-on-invalid        # exit 1 se houver URL inválida (para CI)
+ *
+ * Ofertas com deleted_at preenchido ficam de fora. Backend: STORAGE_BACKEND (supabase | json).
+ * O resumo e as listas de URLs saem no stdout; avisos e erros pelo logger.mjs (LOG_FORMAT / LOG_LEVEL).
+ */
+
+import fs from "fs";
+import { getOfferRepository } from "./offer-repository.mjs";
+import { checkAdLibraryUrl } from "./ad-library-url.mjs";
+import { LOG_PHASES, createLogger } from "./logger.mjs";
+
+const log = createLogger({ script: "audit-urls" });
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) args[a.slice(2)] = true;
+    else { args[a.slice(2)] = next; i++; }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const repo = getOfferRepository();
+
+  const { data: offers, error } = await repo.listOffers({ excludeDeleted: true, orderBy: { column: "id", ascending: true } });
+  if (error) {
+    log.error("❌ Erro ao buscar ofertas", { phase: LOG_PHASES.DB, err: error });
+    process.exit(1);
+  }
+
+  const entries = (offers || []).map((o) => {
+    const check = checkAdLibraryUrl(o.adLibraryUrl);
+    return {
+      id: o.id,
+      offerName: o.offerName ?? null,
+      url: o.adLibraryUrl ?? null,
+      ok: check.ok,
+      canonical: check.url,
+      needsNormalization: check.ok && check.url !== o.adLibraryUrl,
+      problems: check.problems,
+      fixes: check.fixes,
+    };
+  });
+
+  const invalid = entries.filter((e) => !e.ok);
+  const toNormalize = entries.filter((e) => e.needsNormalization);
+  const byProblem = {};
+  for (const e of invalid) for (const p of e.problems) byProblem[p] = (byProblem[p] || 0) + 1;
+
+  console.log(`🔎 ${entries.length} ofertas auditadas`);
+  console.log(`   ✅ canônicas: ${entries.length - invalid.length - toNormalize.length}`);
+  console.log(`   🔧 válidas, mas fora da forma canônica: ${toNormalize.length}`);
+  console.log(`   ❌ inválidas: ${invalid.length}${invalid.length ? ` ${JSON.stringify(byProblem)}` : ""}`);
+
+  for (const e of invalid) {
+    console.log(`❌ [${e.id}] ${e.offerName || ""} ${e.problems.join(", ")} — ${e.url || "(vazio)"}`);
+  }
+  if (args.verbose) {
+    for (const e of toNormalize) console.log(`🔧 [${e.id}] ${e.fixes.join(", ")} — ${e.url}`);
+  }
+
+  if (args.json) {
+    const file = args.json === true ? "url-audit.json" : args.json;
+    fs.writeFileSync(file, JSON.stringify({ generatedAt: new Date().toISOString(), byProblem, offers: entries }, null, 2) + "\n", "utf8");
+    log.info(`📝 Relatório gravado em ${file}`, { phase: LOG_PHASES.REPORT, file, offers: entries.length });
+  }
+
+  if (args.fix && toNormalize.length) {
+    let fixed = 0;
+    for (const e of toNormalize) {
+      const { error: updErr } = await repo.updateOffer(e.id, { adLibraryUrl: e.canonical });
+      if (updErr) log.warn("⚠️ Erro ao gravar URL canônica", { offer_id: e.id, phase: LOG_PHASES.DB, err: updErr });
+      else fixed++;
+    }
+    log.info(`🔧 ${fixed}/${toNormalize.length} URLs normalizadas`, { phase: LOG_PHASES.DB, fixed, total: toNormalize.length });
+  }
+
+  if (args["fail-on-invalid"] && invalid.length) {
+    log.error(`❌ ${invalid.length} URLs inválidas (--fail-on-invalid)`, { phase: LOG_PHASES.REPORT, invalid: invalid.length, by_problem: byProblem });
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  log.error("❌ Erro fatal", { phase: LOG_PHASES.REPORT, err });
+  process.exit(1);
+});
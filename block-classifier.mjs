@@ -0,0 +1,121 @@
+/**
+ * block-classifier.mjs - classifica por que uma página da Ad Library não trouxe o contador
+ *
+ * Substitui a antiga busca de palavras-chave no HTML inteiro (contentLooksBlocked), que dava
+ * falso-positivo com "verify"/"blocked" dentro de <script>. Aqui olhamos apenas sinais estruturais:
+ * - status HTTP (429, 401, 407, 403)
+ * - URL final (redirect para /login, /checkpoint)
+ * - título da página
+ * - marcos do DOM (form de login, campo de senha, elementos de captcha, form de checkpoint)
+ * - texto visível (com <script>/<style>/comentários removidos)
+ *
+ * Motivos (gravados em status_updated):
+ *   login_wall | captcha | rate_limited | checkpoint  -> bloqueio (blocked = true)
+ *   forbidden (HTTP 403) | proxy_auth (HTTP 407)      -> bloqueio do IP / credencial do proxy recusada
+ *   empty_results                                     -> página ok, mas sem anúncios (contagem 0, ver emptyResultsCount)
+ *   unknown                                           -> sem contador e sem sinal reconhecido
+ */
+
+export const BLOCK_REASONS = Object.freeze({
+  LOGIN_WALL: "login_wall",
+  CAPTCHA: "captcha",
+  RATE_LIMITED: "rate_limited",
+  CHECKPOINT: "checkpoint",
+  FORBIDDEN: "forbidden",
+  PROXY_AUTH: "proxy_auth",
+  EMPTY_RESULTS: "empty_results",
+  UNKNOWN: "unknown",
+});
+
+const BLOCKING_REASONS = new Set([
+  BLOCK_REASONS.LOGIN_WALL,
+  BLOCK_REASONS.CAPTCHA,
+  BLOCK_REASONS.RATE_LIMITED,
+  BLOCK_REASONS.CHECKPOINT,
+  BLOCK_REASONS.FORBIDDEN,
+  BLOCK_REASONS.PROXY_AUTH,
+]);
+
+const LOGIN_TITLE_RE = /^\s*(log in|login|entrar|iniciar sesi[oó]n|se connecter|anmelden|accedi|inloggen|zaloguj)/i;
+const CAPTCHA_TITLE_RE = /security check|verifica[çc][aã]o de seguran[çc]a|control de seguridad|captcha/i;
+const RATE_LIMIT_TEXT_RE = /temporarily blocked|temporariamente bloquead|bloqueado temporariamente|bloqueado temporalmente|you('|’)re going too fast|voc[eê] est[aá] indo r[aá]pido demais|rate limit/i;
+const EMPTY_RESULTS_TEXT_RE = /no ads match|nenhum an[uú]ncio corresponde|ning[uú]n anuncio coincide|aucune publicit[eé] ne correspond|keine werbeanzeigen entsprechen|nessuna inserzione corrisponde/i;
+
+/** Motivo é de bloqueio (problema do nosso IP/proxy/sessão, não da oferta)? */
+export function isBlockingReason(reason) {
+  return BLOCKING_REASONS.has(reason);
+}
+
+/** Remove <script>/<style>/comentários (o que não aparece na tela) */
+export function stripNonVisible(html) {
+  return html
+    .replace(/<script\b[\s\S]*?<\/script>/gi, " ")
+    .replace(/<style\b[\s\S]*?<\/style>/gi, " ")
+    .replace(/<!--[\s\S]*?-->/g, " ");
+}
+
+function titleFromHtml(html) {
+  const m = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return m ? m[1].trim() : "";
+}
+
+function result(reason, signals) {
+  return { reason, blocked: BLOCKING_REASONS.has(reason), signals };
+}
+
+/**
+ * classifyPage({ status, url, title, html }) -> { reason, blocked, signals }
+ * reason = null quando nenhum sinal de problema foi encontrado.
+ */
+export function classifyPage({ status = null, url = "", title = null, html = "" } = {}) {
+  const markup = stripNonVisible(typeof html === "string" ? html : "");
+  const pageTitle = title ?? titleFromHtml(typeof html === "string" ? html : "");
+  const visibleText = markup.replace(/<[^>]+>/g, " ");
+  let pathname = "";
+  try { pathname = new URL(url).pathname.toLowerCase(); } catch (e) { /* url inválida/vazia */ }
+
+  if (status === 429) return result(BLOCK_REASONS.RATE_LIMITED, [`status=${status}`]);
+  if (/^\/checkpoint(\/|$)/.test(pathname)) return result(BLOCK_REASONS.CHECKPOINT, [`url=${pathname}`]);
+  if (/^\/login(\.php)?(\/|$)/.test(pathname)) return result(BLOCK_REASONS.LOGIN_WALL, [`url=${pathname}`]);
+
+  if (/<(?:form|div|img|input|iframe)\b[^>]*(?:id|class|name|src|action)="[^"]*(?:captcha|recaptcha|hcaptcha)/i.test(markup)) {
+    return result(BLOCK_REASONS.CAPTCHA, ["dom=captcha"]);
+  }
+  if (CAPTCHA_TITLE_RE.test(pageTitle)) return result(BLOCK_REASONS.CAPTCHA, [`title=${pageTitle}`]);
+  if (/<form\b[^>]*action="[^"]*\/checkpoint/i.test(markup)) return result(BLOCK_REASONS.CHECKPOINT, ["dom=checkpoint_form"]);
+  if (/<form\b[^>]*id="login_form"/i.test(markup) || /<input\b[^>]*name="pass"/i.test(markup)) {
+    return result(BLOCK_REASONS.LOGIN_WALL, ["dom=login_form"]);
+  }
+  if (LOGIN_TITLE_RE.test(pageTitle)) return result(BLOCK_REASONS.LOGIN_WALL, [`title=${pageTitle}`]);
+  if (RATE_LIMIT_TEXT_RE.test(pageTitle) || RATE_LIMIT_TEXT_RE.test(visibleText)) {
+    return result(BLOCK_REASONS.RATE_LIMITED, ["text=rate_limit"]);
+  }
+  if (status === 401) return result(BLOCK_REASONS.LOGIN_WALL, [`status=${status}`]);
+  if (EMPTY_RESULTS_TEXT_RE.test(visibleText)) return result(BLOCK_REASONS.EMPTY_RESULTS, ["text=no_ads"]);
+  if (status === 403) return result(BLOCK_REASONS.FORBIDDEN, [`status=${status}`]);
+  if (status === 407) return result(BLOCK_REASONS.PROXY_AUTH, [`status=${status}`]);
+
+  return { reason: null, blocked: false, signals: [] };
+}
+
+/**
+ * Página "nenhum anúncio corresponde" sem contador legível: a oferta parou de anunciar, então é
+ * contagem 0 (sucesso), não falha. Devolve o resultado no formato do attemptExtractFromPage, ou null.
+ */
+export function emptyResultsCount(classification) {
+  if (classification?.reason !== BLOCK_REASONS.EMPTY_RESULTS) return null;
+  return { found: true, count: 0, approximate: false, raw: null, selector: "empty_results", method: "dom" };
+}
+
+/** Coleta status/URL/título/HTML de uma página Playwright e classifica. Retorna { html, classification }. */
+export async function inspectPage(page, response = null) {
+  const html = await page.content().catch(() => null);
+  const title = await page.title().catch(() => null);
+  const classification = classifyPage({
+    status: response ? response.status() : null,
+    url: page.url(),
+    title,
+    html: html || "",
+  });
+  return { html, classification };
+}
@@ -0,0 +1,56 @@
+/**
+ * browser-context.mjs - criação dos contexts do Playwright (perfil de fingerprint + proxy do pool)
+ *
+ * Compartilhado pelo scraper.mjs e pelo CLI scrape.mjs, para o debug local rodar com o mesmo
+ * setup de context que roda no CI. Os perfis (UA, platform, locale, timezone, viewport...) vêm
+ * do catálogo em fingerprint-profiles.mjs; o context guarda __profileId e __proxyId para o
+ * chamador reportar o resultado de cada página aos dois pools.
+ * Com opts.sessionStore (session-store.mjs) o context carrega a sessão salva do par perfil + proxy;
+ * sessão nova passa pela navegação de aquecimento e já é salva.
+ */
+
+import { createProfilePool, loadProfilesFromEnv, profileContextOptions, profileInitScript } from "./fingerprint-profiles.mjs";
+import { sessionKey, warmUpSession } from "./session-store.mjs";
+
+const BLOCKED_RESOURCE_TYPES = ["image", "stylesheet", "font", "media"];
+
+let defaultProfilePool = null;
+
+/**
+ * Create a randomized context (perfil de fingerprint + proxy do pool, se configurado)
+ * opts.proxyPool: pool de proxy-pool.mjs (sem pool = IP direto)
+ * opts.profilePool: pool de fingerprint-profiles.mjs (default: um pool do módulo com o catálogo do env)
+ * opts.profileId: força um perfil do catálogo (debug no scrape.mjs)
+ * opts.sessionStore: store de sessões (sem store = context frio, como antes)
+ */
+export async function createContext(browser, { proxyPool = null, profilePool = null, profileId = null, sessionStore = null } = {}) {
+  const profiles = profilePool || (defaultProfilePool ??= createProfilePool(loadProfilesFromEnv()));
+  const proxy = proxyPool ? proxyPool.acquire() : null;
+  const profile = profileId ? profiles.get(profileId) : profiles.acquire(proxy ? proxy.id : "direct");
+  if (!profile) throw new Error(`Perfil de fingerprint não encontrado: ${profileId}`);
+  const contextOptions = profileContextOptions(profile);
+  if (proxy) contextOptions.proxy = { server: proxy.server, username: proxy.username, password: proxy.password };
+  const key = sessionStore ? sessionKey(profile.id, proxy ? proxy.id : null) : null;
+  const session = key ? sessionStore.load(key) : null;
+  const sessionEpoch = key ? sessionStore.epoch(key) : 0; // lida junto com o load: invalidação durante o newContext vale
+  if (session) contextOptions.storageState = session.storageState;
+  const context = await browser.newContext(contextOptions);
+  await context.addInitScript(profileInitScript(profile));
+  await context.route("**/*", (route) => {
+    const type = route.request().resourceType();
+    if (BLOCKED_RESOURCE_TYPES.includes(type)) return route.abort();
+    return route.continue();
+  });
+  context.__pagesProcessed = 0;
+  context.__proxyId = proxy ? proxy.id : null;
+  context.__profileId = profile.id;
+  context.__sessionKey = key;
+  context.__sessionEpoch = sessionEpoch;
+  context.__sessionCreatedAt = session ? session.createdAt : null;
+  context.__sessionReused = Boolean(session);
+  if (key && !session) {
+    context.__warmUp = await warmUpSession(context);
+    if (context.__warmUp.ok) await sessionStore.save(context);
+  }
+  return context;
+}
@@ -0,0 +1,179 @@
+/**
+ * change-alerts.mjs - detecção de variações grandes de activeAds e digest para webhook
+ *
+ * Compara, por oferta, o snapshot mais recente da janela atual (scraped_at >= since) com o último
+ * snapshot anterior a ela (swipe_file_offer_history, ver history.mjs). Falhas de scrape não geram
+ * snapshot, então uma oferta que não foi lida nesta execução simplesmente não entra no digest.
+ *
+ * Regras (limiares via env, ver alertThresholds):
+ *   scale_up  subiu >= ALERT_SCALE_UP_PCT % (default 200) e chegou a >= ALERT_MIN_ADS (default 10);
+ *             base 0 conta como scale_up quando chega a ALERT_MIN_ADS
+ *   drop      caiu >= ALERT_DROP_PCT % (default 80) vindo de >= ALERT_MIN_ADS, sem zerar
+ *   died      zerou vindo de mais de ALERT_DIED_FROM anúncios (default 50)
+ *
+ * Formatos do webhook (ALERT_WEBHOOK_FORMAT, default: detectado pela URL):
+ *   slack    { text }      mrkdwn, para Incoming Webhooks (hooks.slack.com)
+ *   discord  { content }   markdown, cortado em 2000 caracteres (discord.com/api/webhooks)
+ *   json     { generatedAt, since, thresholds, count, alerts: [...] } para qualquer outro endpoint
+ */
+
+export const ALERT_KINDS = Object.freeze({
+  SCALE_UP: "scale_up",
+  DROP: "drop",
+  DIED: "died",
+});
+
+export const WEBHOOK_FORMATS = ["slack", "discord", "json"];
+
+const KIND_ORDER = [ALERT_KINDS.SCALE_UP, ALERT_KINDS.DIED, ALERT_KINDS.DROP];
+const KIND_LABELS = {
+  [ALERT_KINDS.SCALE_UP]: "🚀 Escalando",
+  [ALERT_KINDS.DIED]: "💀 Zeraram",
+  [ALERT_KINDS.DROP]: "📉 Queda forte",
+};
+const DISCORD_MAX_CHARS = 2000;
+
+/** Limiares a partir do env (valores inválidos caem no default) */
+export function alertThresholds(env = process.env) {
+  const num = (v, d) => {
+    const n = parseFloat(v);
+    return Number.isFinite(n) ? n : d;
+  };
+  return {
+    scaleUpPct: num(env.ALERT_SCALE_UP_PCT, 200),
+    dropPct: num(env.ALERT_DROP_PCT, 80),
+    diedFrom: num(env.ALERT_DIED_FROM, 50),
+    minAds: num(env.ALERT_MIN_ADS, 10),
+  };
+}
+
+/** Variação percentual de previous para current (null com base 0) */
+export function pctChange(previous, current) {
+  return previous > 0 ? ((current - previous) / previous) * 100 : null;
+}
+
+/** Regra disparada pela transição previous -> current (null = nada a alertar) */
+export function classifyChange(previous, current, thresholds = alertThresholds()) {
+  if (typeof previous !== "number" || typeof current !== "number") return null;
+  if (current === 0) return previous > thresholds.diedFrom ? ALERT_KINDS.DIED : null;
+  const pct = pctChange(previous, current);
+  if (current >= thresholds.minAds && (pct === null || pct >= thresholds.scaleUpPct)) return ALERT_KINDS.SCALE_UP;
+  if (previous >= thresholds.minAds && pct !== null && pct <= -thresholds.dropPct) return ALERT_KINDS.DROP;
+  return null;
+}
+
+/**
+ * snapshots -> Map(offer_id -> { previous, current }), cada ponto { count, at }.
+ * current = mais recente com scraped_at >= since; previous = mais recente antes de since.
+ * Ofertas sem um dos dois ficam de fora.
+ */
+export function pairSnapshots(snapshots, since) {
+  const sinceTs = Date.parse(since);
+  const byOffer = new Map();
+  for (const s of snapshots || []) {
+    if (s == null || typeof s.activeAds !== "number") continue;
+    const ts = Date.parse(s.scraped_at);
+    if (isNaN(ts)) continue;
+    const entry = byOffer.get(s.offer_id) || { previous: null, current: null };
+    const slot = ts >= sinceTs ? "current" : "previous";
+    if (!entry[slot] || entry[slot].ts <= ts) entry[slot] = { ts, count: s.activeAds, at: s.scraped_at };
+    byOffer.set(s.offer_id, entry);
+  }
+  const pairs = new Map();
+  for (const [offerId, { previous, current }] of byOffer) {
+    if (previous && current) pairs.set(offerId, { previous, current });
+  }
+  return pairs;
+}
+
+/**
+ * Alertas da janela: um por oferta que cruzou algum limiar, agrupados por tipo
+ * (scale_up, died, drop) e, dentro do tipo, pela maior variação absoluta.
+ * offers: linhas de swipe_file_offers (nome/nicho/URL do digest); ofertas apagadas são ignoradas.
+ */
+export function detectChanges(snapshots, offers, { since, thresholds = alertThresholds() } = {}) {
+  const offersById = new Map((offers || []).map((o) => [String(o.id), o]));
+  const alerts = [];
+  for (const [offerId, { previous, current }] of pairSnapshots(snapshots, since)) {
+    const offer = offersById.get(String(offerId));
+    if (!offer || offer.deleted_at) continue;
+    const kind = classifyChange(previous.count, current.count, thresholds);
+    if (!kind) continue;
+    const pct = pctChange(previous.count, current.count);
+    alerts.push({
+      offerId,
+      offerName: offer.offerName ?? null,
+      niche: offer.niche ?? null,
+      adLibraryUrl: offer.adLibraryUrl ?? null,
+      kind,
+      previous: previous.count,
+      current: current.count,
+      changePct: pct === null ? null : Math.round(pct),
+      previousAt: previous.at,
+      currentAt: current.at,
+    });
+  }
+  return alerts.sort((a, b) =>
+    KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind) ||
+    Math.abs(b.current - b.previous) - Math.abs(a.current - a.previous));
+}
+
+/** Formato do webhook: explícito, senão pelo host da URL (json para o resto) */
+export function webhookFormatFor(url, explicit = null) {
+  if (explicit) {
+    const format = String(explicit).toLowerCase();
+    if (!WEBHOOK_FORMATS.includes(format)) throw new Error(`Formato de webhook desconhecido: ${explicit} (use ${WEBHOOK_FORMATS.join(", ")})`);
+    return format;
+  }
+  let host = "";
+  try { host = new URL(url).hostname; } catch (e) { /* URL inválida: json */ }
+  if (host === "hooks.slack.com") return "slack";
+  if (/(^|\.)discord(app)?\.com$/.test(host)) return "discord";
+  return "json";
+}
+
+function formatChange(a) {
+  return a.changePct === null ? "novo" : `${a.changePct > 0 ? "+" : ""}${a.changePct}%`;
+}
+
+function alertLine(a, format) {
+  const name = a.offerName || `oferta ${a.offerId}`;
+  const label = format === "slack" ? `*${name}*` : `**${name}**`;
+  const niche = a.niche ? ` (${a.niche})` : "";
+  let link = "";
+  if (a.adLibraryUrl) link = format === "slack" ? ` <${a.adLibraryUrl}|Ad Library>` : ` [Ad Library](<${a.adLibraryUrl}>)`;
+  return `• ${label}${niche}: ${a.previous} → ${a.current} (${formatChange(a)})${link}`;
+}
+
+function digestText(alerts, format, { since, maxItems }) {
+  const lines = [`Variações de activeAds desde ${since}: ${alerts.length} oferta(s)`];
+  for (const kind of KIND_ORDER) {
+    const group = alerts.filter((a) => a.kind === kind);
+    if (group.length === 0) continue;
+    lines.push("", format === "slack" ? `*${KIND_LABELS[kind]}* (${group.length})` : `**${KIND_LABELS[kind]}** (${group.length})`);
+    for (const a of group.slice(0, maxItems)) lines.push(alertLine(a, format));
+    if (group.length > maxItems) lines.push(`… e mais ${group.length - maxItems}`);
+  }
+  return lines.join("\n");
+}
+
+/** Payload do webhook para o formato. maxItems limita as linhas por tipo (slack/discord). */
+export function formatDigest(alerts, format, { since, thresholds = alertThresholds(), maxItems = 25, now = new Date() } = {}) {
+  if (format === "slack") return { text: digestText(alerts, format, { since, maxItems }) };
+  if (format === "discord") {
+    const text = digestText(alerts, format, { since, maxItems });
+    return { content: text.length > DISCORD_MAX_CHARS ? `${text.slice(0, DISCORD_MAX_CHARS - 1)}…` : text };
+  }
+  return { generatedAt: now.toISOString(), since, thresholds, count: alerts.length, alerts };
+}
+
+/** POST JSON no webhook. Retorna { ok, status, body } (não lança em resposta != 2xx). */
+export async function postWebhook(url, payload, fetchFn = globalThis.fetch) {
+  const res = await fetchFn(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  const body = await res.text();
+  return { ok: res.ok, status: res.status, body };
+}
@@ -0,0 +1,67 @@
+/**
+ * country-counts.mjs - contagem de anúncios ativos por país (COUNTRIES)
+ *
+ * O activeAds principal continua sendo o do country que está no adLibraryUrl da oferta. Com
+ * COUNTRIES=BR,US,PT,ALL o scraper também reescreve a URL para cada país (buildAdLibraryUrl) e grava
+ * o resultado junto, num único breakdown:
+ *   active_ads_by_country = { "BR": 1200, "US": 35, "PT": null, "ALL": 1400 }
+ * null = não foi possível ler o contador daquele país nesta execução.
+ *
+ * SQL recomendado (execute no Supabase SQL editor se ainda não executou):
+ *   ALTER TABLE swipe_file_offers ADD COLUMN IF NOT EXISTS active_ads_by_country jsonb;
+ *   ALTER TABLE swipe_file_offers ADD COLUMN IF NOT EXISTS active_ads_by_country_at timestamptz;
+ */
+
+import { buildAdLibraryUrl, checkAdLibraryUrl } from "./ad-library-url.mjs";
+
+/** "br, us,ALL" -> ["BR", "US", "ALL"] (códigos inválidos são ignorados) */
+export function parseCountries(value = process.env.COUNTRIES) {
+  if (!value) return [];
+  const list = String(value).split(",").map((c) => c.trim().toUpperCase()).filter((c) => /^(ALL|[A-Z]{2})$/.test(c));
+  return Array.from(new Set(list));
+}
+
+/** adLibraryUrl da oferta reescrito para `country` (null se a URL for inválida) */
+export function countryUrl(adLibraryUrl, country) {
+  const { ok, params } = checkAdLibraryUrl(adLibraryUrl);
+  return ok ? buildAdLibraryUrl({ ...params, country }) : null;
+}
+
+/**
+ * Lê o contador de cada país. `extractAt(url)` navega e devolve o resultado de attemptExtractFromPage;
+ * o país da própria URL reaproveita `mainCount` em vez de navegar de novo.
+ */
+export async function collectCountryCounts(offer, mainCount, countries, extractAt) {
+  const { params } = checkAdLibraryUrl(offer.adLibraryUrl);
+  const breakdown = {};
+  for (const country of countries) {
+    if (country === params.country && mainCount !== null && mainCount !== undefined) {
+      breakdown[country] = mainCount;
+      continue;
+    }
+    const url = countryUrl(offer.adLibraryUrl, country);
+    if (!url) {
+      breakdown[country] = null;
+      continue;
+    }
+    try {
+      const result = await extractAt(url);
+      breakdown[country] = result?.found ? result.count : null;
+    } catch (e) {
+      breakdown[country] = null;
+    }
+  }
+  return breakdown;
+}
+
+/** Normaliza o valor gravado (jsonb ou string JSON no backend local) para export */
+export function parseCountryBreakdown(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "object") return value;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * data-quality.mjs - validação das ofertas antes de publicar o eagle_offers_data.json
+ *
+ * Checagens (limiares via env, ver qualityThresholds):
+ *   null_ratio       fração de ofertas com activeAds NULL            <= DQ_MAX_NULL_RATIO (0.3)
+ *   success_ratio    fração com status_updated = "success"           >= DQ_MIN_SUCCESS_RATIO (0.6)
+ *   implausible      fração das ofertas lidas nesta janela cuja contagem mudou DQ_IMPLAUSIBLE_FACTOR
+ *                    vezes (10x, para cima ou para baixo) vindo de >= DQ_IMPLAUSIBLE_MIN_BASE (20);
+ *                    zerar não entra: é o sinal de oferta que morreu, não erro de leitura
+ *                                                                    <= DQ_MAX_IMPLAUSIBLE_RATIO (0.05)
+ *   missing_required fração sem id, offerName ou adLibraryUrl         <= DQ_MAX_MISSING_RATIO (0.02)
+ *
+ * "Nesta janela" = snapshots de swipe_file_offer_history desde `since` (DQ_WINDOW_HOURS, default 24),
+ * comparados com o último snapshot anterior (mesmo pareamento do change-alerts.mjs).
+ *
+ * Quando alguma checagem falha, o update-eagle-json.mjs segue DQ_ON_FAIL:
+ *   refuse (default)  não publica (exit 1)
+ *   fallback          publica com o último valor bom (último snapshot) no lugar de activeAds NULL ou
+ *                     implausível, marcando activeAdsFallback = true e activeAdsDelta null (os deltas
+ *                     foram calculados sobre o valor descartado); ofertas sem campo obrigatório saem
+ *   warn              publica como está (só o relatório)
+ * O relatório legível vai para DQ_REPORT_FILE (default ./data-quality-report.md).
+ */
+
+import fs from "fs";
+import { pairSnapshots } from "./change-alerts.mjs";
+import { SUCCESS_STATUS } from "./retry-policy.mjs";
+
+export const DQ_ACTIONS = ["refuse", "fallback", "warn"];
+export const DQ_REPORT_FILE = process.env.DQ_REPORT_FILE || "./data-quality-report.md";
+
+const REQUIRED_FIELDS = ["id", "offerName", "adLibraryUrl"];
+const REPORT_MAX_ITEMS = 20;
+
+export function qualityThresholds(env = process.env) {
+  const num = (v, d) => {
+    const n = parseFloat(v);
+    return Number.isFinite(n) ? n : d;
+  };
+  return {
+    maxNullRatio: num(env.DQ_MAX_NULL_RATIO, 0.3),
+    minSuccessRatio: num(env.DQ_MIN_SUCCESS_RATIO, 0.6),
+    maxImplausibleRatio: num(env.DQ_MAX_IMPLAUSIBLE_RATIO, 0.05),
+    implausibleFactor: num(env.DQ_IMPLAUSIBLE_FACTOR, 10),
+    implausibleMinBase: num(env.DQ_IMPLAUSIBLE_MIN_BASE, 20),
+    maxMissingRatio: num(env.DQ_MAX_MISSING_RATIO, 0.02),
+  };
+}
+
+function isBlank(v) {
+  return v === null || v === undefined || v === "" || v === "null" || v === "NULL";
+}
+
+function ratio(n, total) {
+  return total > 0 ? n / total : 0;
+}
+
+/** previous -> current mudou ao menos `factor` vezes (zerar não conta: oferta que morreu é real) */
+export function isImplausibleChange(previous, current, { implausibleFactor, implausibleMinBase }) {
+  if (previous < implausibleMinBase || current === 0) return false;
+  return current >= previous * implausibleFactor || current <= previous / implausibleFactor;
+}
+
+/** Último snapshot por oferta -> Map(offer_id -> { count, at }) */
+export function lastKnownGood(snapshots) {
+  const latest = new Map();
+  for (const s of snapshots || []) {
+    if (s == null || typeof s.activeAds !== "number") continue;
+    const prev = latest.get(s.offer_id);
+    if (!prev || prev.at <= s.scraped_at) latest.set(s.offer_id, { count: s.activeAds, at: s.scraped_at });
+  }
+  return latest;
+}
+
+/**
+ * Roda as checagens. offers: linhas de swipe_file_offers (sem as apagadas); snapshots: histórico desde
+ * antes de `since`. Retorna { ok, checks: [{ name, value, threshold, ok, detail }], offenders }.
+ * offenders.nulls / implausible / missing: ids, para o fallback e o relatório.
+ */
+export function checkDataQuality(offers, snapshots, { since, thresholds = qualityThresholds() } = {}) {
+  const rows = offers || [];
+  const total = rows.length;
+  const nulls = rows.filter((o) => isBlank(o.activeAds)).map((o) => o.id);
+  const successes = rows.filter((o) => o.status_updated === SUCCESS_STATUS).length;
+  const missing = rows.filter((o) => REQUIRED_FIELDS.some((f) => isBlank(o[f]))).map((o) => o.id ?? null);
+
+  const ids = new Set(rows.map((o) => String(o.id)));
+  const implausible = [];
+  let compared = 0;
+  for (const [offerId, { previous, current }] of pairSnapshots(snapshots, since)) {
+    if (!ids.has(String(offerId))) continue;
+    compared++;
+    if (isImplausibleChange(previous.count, current.count, thresholds)) {
+      implausible.push({ id: offerId, previous: previous.count, current: current.count });
+    }
+  }
+
+  const checks = [
+    { name: "null_ratio", value: ratio(nulls.length, total), threshold: thresholds.maxNullRatio, op: "<=", detail: `${nulls.length}/${total} com activeAds NULL` },
+    { name: "success_ratio", value: ratio(successes, total), threshold: thresholds.minSuccessRatio, op: ">=", detail: `${successes}/${total} com status success` },
+    { name: "implausible", value: ratio(implausible.length, compared), threshold: thresholds.maxImplausibleRatio, op: "<=", detail: `${implausible.length}/${compared} variações >= ${thresholds.implausibleFactor}x` },
+    { name: "missing_required", value: ratio(missing.length, total), threshold: thresholds.maxMissingRatio, op: "<=", detail: `${missing.length}/${total} sem ${REQUIRED_FIELDS.join("/")}` },
+  ].map((c) => ({ ...c, ok: c.op === "<=" ? c.value <= c.threshold : c.value >= c.threshold }));
+
+  return { ok: checks.every((c) => c.ok), checks, offenders: { nulls, implausible, missing } };
+}
+
+/**
+ * Aplica o fallback nas ofertas já formatadas (update-eagle-json.mjs): activeAds NULL ou implausível
+ * volta para o último valor bom, com activeAdsFallback = true e activeAdsDelta null (o delta do valor
+ * descartado contradiria o activeAds publicado); ofertas sem campo obrigatório saem.
+ * Retorna { offers, replaced, dropped }.
+ */
+export function applyFallback(formattedOffers, quality, snapshots) {
+  const noDelta = { d1: null, d7: null, d30: null };
+  const latest = lastKnownGood(snapshots);
+  const previousById = new Map(quality.offenders.implausible.map((i) => [String(i.id), i.previous]));
+  const missing = new Set(quality.offenders.missing.map(String));
+  let replaced = 0;
+  let dropped = 0;
+  const offers = [];
+  for (const offer of formattedOffers) {
+    const id = String(offer.id);
+    if (missing.has(id)) {
+      dropped++;
+      continue;
+    }
+    let fallback = null;
+    if (previousById.has(id)) fallback = previousById.get(id);
+    else if (offer.activeAds === null) fallback = latest.get(offer.id)?.count ?? null;
+    if (fallback !== null) {
+      replaced++;
+      offers.push({ ...offer, activeAds: fallback, activeAdsFallback: true, activeAdsDelta: noDelta });
+    } else {
+      offers.push(offer);
+    }
+  }
+  return { offers, replaced, dropped };
+}
+
+function pct(v) {
+  return `${(v * 100).toFixed(1)}%`;
+}
+
+/** Relatório em markdown (também vai para o step summary do Actions) */
+export function formatQualityReport(quality, { action, thresholds = qualityThresholds(), since, fallback = null, now = new Date() } = {}) {
+  const lines = [
+    `# Qualidade dos dados — ${quality.ok ? "✅ aprovado" : "❌ reprovado"}`,
+    "",
+    `Gerado em ${now.toISOString()} · janela desde ${since} · ação em falha: ${action}`,
+    "",
+    "| Checagem | Valor | Limite | Resultado | Detalhe |",
+    "| --- | --- | --- | --- | --- |",
+    ...quality.checks.map((c) => `| ${c.name} | ${pct(c.value)} | ${c.op} ${pct(c.threshold)} | ${c.ok ? "ok" : "**FALHOU**"} | ${c.detail} |`),
+  ];
+  const { nulls, implausible, missing } = quality.offenders;
+  const list = (title, items, fmt) => {
+    if (!items.length) return;
+    lines.push("", `## ${title} (${items.length})`, "");
+    for (const item of items.slice(0, REPORT_MAX_ITEMS)) lines.push(`- ${fmt(item)}`);
+    if (items.length > REPORT_MAX_ITEMS) lines.push(`- … e mais ${items.length - REPORT_MAX_ITEMS}`);
+  };
+  list("Variações implausíveis", implausible, (i) => `oferta ${i.id}: ${i.previous} → ${i.current}`);
+  list("Sem campo obrigatório", missing, (id) => `oferta ${id ?? "(sem id)"}`);
+  if (!quality.checks.find((c) => c.name === "null_ratio").ok) list("activeAds NULL", nulls, (id) => `oferta ${id}`);
+  if (fallback) {
+    lines.push("", `## Fallback aplicado`, "", `- ${fallback.replaced} ofertas com o último valor bom (activeAdsFallback = true)`, `- ${fallback.dropped} ofertas removidas por falta de campo obrigatório`);
+  }
+  lines.push("", `Limiares: ${JSON.stringify(thresholds)}`);
+  return lines.join("\n") + "\n";
+}
+
+export function writeQualityReport(markdown, file = DQ_REPORT_FILE) {
+  fs.writeFileSync(file, markdown, "utf8");
+  return file;
+}
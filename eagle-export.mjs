@@ -0,0 +1,170 @@
+/**
+ * eagle-export.mjs - payload versionado, diff incremental, assinatura e upload do eagle_offers_data.json
+ *
+ * Schema: eagle-offers.schema.json (EAGLE_SCHEMA_VERSION, semver). Mudança só aditiva = minor;
+ * campo removido/renomeado ou tipo alterado = major (o consumidor deve checar o major).
+ *   full  { schemaVersion, kind: "full", version, generatedAt, offers: [...] }
+ *   diff  { schemaVersion, kind: "diff", version, generatedAt, baseGeneratedAt, added, changed, removed }
+ *         (added/changed = ofertas completas; removed = ids) em relação ao último upload bem-sucedido
+ *
+ * Histórico do schemaVersion:
+ *   1.0.0  payload legado sem versão ({ version, offers }), anterior a este módulo: um payload sem
+ *          schemaVersion deve ser lido como 1.0.0
+ *   1.1.0  schemaVersion, kind, generatedAt e o payload diff
+ *   1.2.0  activeAdsFallback (data-quality.mjs)
+ *
+ * O hash por oferta (base do diff) ignora os campos derivados (activeAdsDelta): eles mudam todo dia
+ * sozinhos com a janela de tempo e fariam quase toda oferta aparecer em "changed". Quando a oferta
+ * muda de verdade (activeAds, status, dados cadastrais), ela vai inteira, com os deltas do dia.
+ *
+ * Estado do último upload (EAGLE_STATE_FILE, default ./eagle-export-state.json): hash por oferta.
+ * Só é regravado depois de um upload 2xx; no CI ele é restaurado/salvo com actions/cache.
+ *
+ * Headers do upload:
+ *   X-Eagle-Schema-Version, X-Eagle-Payload-Kind
+ *   X-Eagle-Timestamp + X-Eagle-Signature: sha256=<hex>  quando EAGLE_SIGNING_SECRET está definida;
+ *     HMAC-SHA256(secret, `${timestamp}.${json}`) sobre o JSON antes do gzip
+ *   Content-Encoding: gzip                                 quando EAGLE_GZIP=true
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import zlib from "zlib";
+
+export const EAGLE_SCHEMA_VERSION = "1.2.0"; // 1.2.0: activeAdsFallback (data-quality.mjs)
+export const EAGLE_STATE_FILE = process.env.EAGLE_STATE_FILE || "./eagle-export-state.json";
+export const PAYLOAD_KINDS = Object.freeze({ FULL: "full", DIFF: "diff" });
+
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 30000;
+
+function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
+
+// Campos calculados a partir do histórico, fora do hash do diff
+const DERIVED_FIELDS = ["activeAdsDelta"];
+
+/** Hash estável dos campos de origem de uma oferta já formatada (mesmo conteúdo -> mesmo hash) */
+export function offerHash(offer) {
+  const source = Object.fromEntries(Object.entries(offer).filter(([key]) => !DERIVED_FIELDS.includes(key)));
+  return crypto.createHash("sha256").update(JSON.stringify(source)).digest("hex");
+}
+
+/** Payload completo */
+export function buildFullPayload(offers, now = new Date()) {
+  return {
+    schemaVersion: EAGLE_SCHEMA_VERSION,
+    kind: PAYLOAD_KINDS.FULL,
+    version: now.toISOString().slice(0, 10),
+    generatedAt: now.toISOString(),
+    offers,
+  };
+}
+
+/** Diff contra o estado do último upload (state.hashes: { [id]: hash }) */
+export function buildDiffPayload(offers, state, now = new Date()) {
+  const previous = state?.hashes || {};
+  const added = [];
+  const changed = [];
+  const seen = new Set();
+  for (const offer of offers) {
+    const id = String(offer.id);
+    seen.add(id);
+    if (!(id in previous)) added.push(offer);
+    else if (previous[id] !== offerHash(offer)) changed.push(offer);
+  }
+  const removed = Object.keys(previous).filter((id) => !seen.has(id)).map((id) => (/^\d+$/.test(id) ? Number(id) : id));
+  return {
+    schemaVersion: EAGLE_SCHEMA_VERSION,
+    kind: PAYLOAD_KINDS.DIFF,
+    version: now.toISOString().slice(0, 10),
+    generatedAt: now.toISOString(),
+    baseGeneratedAt: state?.generatedAt ?? null,
+    added,
+    changed,
+    removed,
+  };
+}
+
+/** Estado a gravar após o upload (hash de todas as ofertas exportadas) */
+export function buildState(offers, payload) {
+  return {
+    schemaVersion: payload.schemaVersion,
+    generatedAt: payload.generatedAt,
+    uploadedAt: new Date().toISOString(),
+    hashes: Object.fromEntries(offers.map((o) => [String(o.id), offerHash(o)])),
+  };
+}
+
+/** Estado do último upload, ou null (sem arquivo, ilegível ou de outro major do schema) */
+export function loadState(file = EAGLE_STATE_FILE) {
+  try {
+    if (!fs.existsSync(file)) return null;
+    const state = JSON.parse(fs.readFileSync(file, "utf8"));
+    const major = (v) => String(v || "").split(".")[0];
+    return state && state.hashes && major(state.schemaVersion) === major(EAGLE_SCHEMA_VERSION) ? state : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+export function saveState(state, file = EAGLE_STATE_FILE) {
+  fs.writeFileSync(file, JSON.stringify(state) + "\n", "utf8");
+}
+
+/** X-Eagle-Signature para o JSON: sha256=HMAC(secret, `${timestamp}.${json}`) */
+export function signPayload(json, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const hmac = crypto.createHmac("sha256", secret).update(`${timestamp}.${json}`).digest("hex");
+  return { timestamp: String(timestamp), signature: `sha256=${hmac}` };
+}
+
+/** Corpo + headers do POST (assinatura opcional, gzip opcional) */
+export function prepareUpload(payload, { secret = null, gzip = false } = {}) {
+  const json = JSON.stringify(payload);
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Eagle-Schema-Version": payload.schemaVersion,
+    "X-Eagle-Payload-Kind": payload.kind,
+  };
+  if (secret) {
+    const { timestamp, signature } = signPayload(json, secret);
+    headers["X-Eagle-Timestamp"] = timestamp;
+    headers["X-Eagle-Signature"] = signature;
+  }
+  if (gzip) headers["Content-Encoding"] = "gzip";
+  return { json, headers, body: gzip ? zlib.gzipSync(json) : json };
+}
+
+/** Backoff exponencial com jitter para a n-ésima retentativa (1, 2, ...) */
+export function uploadRetryDelayMs(n) {
+  const base = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (n - 1));
+  return base + Math.floor(Math.random() * (base / 2));
+}
+
+/** 5xx, 429 e 408 valem nova tentativa; outros 4xx não (payload ou auth errados) */
+export function isRetryableStatus(status) {
+  return status >= 500 || status === 429 || status === 408;
+}
+
+/**
+ * POST com retry. Retorna { ok, status, body, attempts, error }; não lança.
+ * onRetry(n, delayMs, reason) é chamado antes de cada espera (para log).
+ */
+export async function uploadWithRetry(url, { body, headers }, { retries = 3, fetchFn = globalThis.fetch, onRetry = () => {}, wait = sleep } = {}) {
+  let last = { ok: false, status: null, body: null, error: null };
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    try {
+      const res = await fetchFn(url, { method: "POST", headers, body });
+      const text = await res.text();
+      last = { ok: res.ok, status: res.status, body: text, error: null };
+      if (res.ok || !isRetryableStatus(res.status)) return { ...last, attempts: attempt };
+    } catch (e) {
+      last = { ok: false, status: null, body: null, error: e };
+    }
+    if (attempt <= retries) {
+      const delay = uploadRetryDelayMs(attempt);
+      onRetry(attempt, delay, last.status ?? String(last.error?.message || last.error));
+      await wait(delay);
+    }
+  }
+  return { ...last, attempts: retries + 1 };
+}
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * export-offers.mjs - exporta as ofertas em CSV e/ou NDJSON para planilhas e BI (offer-export.mjs)
+ *
+ * USO:
+ *   node export-offers.mjs                                   # CSV + NDJSON em EXPORT_DIR (default ./exports)
+ *   node export-offers.mjs --format csv --out ofertas.csv     # um formato, arquivo explícito
+ *   node export-offers.mjs --fields id,offerName,activeAds,activeAdsD7,status
+ *   node export-offers.mjs --fields all                      # todas as colunas do catálogo
+ *   node export-offers.mjs --niche saude,financas --min-ads 50 --state success
+ *   node export-offers.mjs --updated-since 2024-05-01 --include-deleted
+ *   node export-offers.mjs --list-fields                     # lista os campos disponíveis
+ *   (ou npm run export -- --format ndjson)
+ *
+ * Env equivalentes: EXPORT_DIR, EXPORT_FORMAT, EXPORT_FIELDS, EXPORT_NICHE, EXPORT_MIN_ADS, EXPORT_STATE.
+ * Arquivos: <dir>/offers-<YYYY-MM-DD>.<csv|ndjson>. Ordem: id ascendente.
+ * Backend: STORAGE_BACKEND (supabase | json). Log: LOG_FORMAT / LOG_LEVEL (logger.mjs).
+ */
+
+import fs from "fs";
+import path from "path";
+import { getOfferRepository } from "./offer-repository.mjs";
+import { computeDeltas, fetchHistorySince, historyWindowStart } from "./history.mjs";
+import {
+  DELTA_FIELDS,
+  EXPORT_FIELDS,
+  EXPORT_FORMATS,
+  buildFilter,
+  parseFields,
+  projectOffer,
+  toCsv,
+  toNdjson,
+} from "./offer-export.mjs";
+import { LOG_PHASES, createLogger } from "./logger.mjs";
+
+const log = createLogger({ script: "export" });
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) args[a.slice(2)] = true;
+    else { args[a.slice(2)] = next; i++; }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args["list-fields"]) {
+    console.log(Object.keys(EXPORT_FIELDS).join("\n"));
+    return;
+  }
+
+  const fields = parseFields(args.fields ?? process.env.EXPORT_FIELDS);
+  const formats = String(args.format && args.format !== true ? args.format : process.env.EXPORT_FORMAT || "csv,ndjson")
+    .split(",").map((f) => f.trim().toLowerCase()).filter(Boolean);
+  const unknownFormats = formats.filter((f) => !EXPORT_FORMATS.includes(f));
+  if (unknownFormats.length) throw new Error(`Formato desconhecido: ${unknownFormats.join(", ")} (use ${EXPORT_FORMATS.join(", ")})`);
+  if (args.out && formats.length > 1) throw new Error("--out exige um único --format");
+  const filter = buildFilter({
+    niche: args.niche ?? process.env.EXPORT_NICHE,
+    minAds: args["min-ads"] ?? process.env.EXPORT_MIN_ADS,
+    state: args.state ?? process.env.EXPORT_STATE,
+    updatedSince: args["updated-since"],
+  });
+
+  const repo = getOfferRepository();
+  const { data: offers, error } = await repo.listOffers({
+    excludeDeleted: !args["include-deleted"],
+    orderBy: { column: "id", ascending: true },
+  });
+  if (error) throw new Error(`Erro ao buscar ofertas: ${error.message}`);
+
+  // Deltas só se alguma coluna de delta foi pedida (evita ler 30 dias de histórico à toa)
+  let deltas = null;
+  if (fields.some((f) => DELTA_FIELDS.includes(f))) {
+    const { data: history, error: historyError } = await fetchHistorySince(historyWindowStart(), repo);
+    if (historyError) log.warn("⚠️ Erro ao buscar histórico, deltas serão null", { phase: LOG_PHASES.DB, err: historyError });
+    deltas = computeDeltas(history || []);
+  }
+
+  const rows = (offers || []).filter(filter).map((o) => projectOffer(o, fields, deltas));
+  log.info(`📤 ${rows.length}/${(offers || []).length} ofertas após os filtros (${fields.length} campos)`, { phase: LOG_PHASES.EXPORT, rows: rows.length, total: (offers || []).length, fields: fields.length });
+
+  const dir = args["out-dir"] && args["out-dir"] !== true ? args["out-dir"] : process.env.EXPORT_DIR || "./exports";
+  const stamp = new Date().toISOString().slice(0, 10);
+  for (const format of formats) {
+    const file = args.out && args.out !== true ? args.out : path.join(dir, `offers-${stamp}.${format}`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, format === "csv" ? toCsv(rows, fields) : toNdjson(rows), "utf8");
+    log.info(`📝 ${format.toUpperCase()} gravado em ${file}`, { phase: LOG_PHASES.EXPORT, format, file });
+  }
+}
+
+main().catch((err) => {
+  log.error("❌ Erro fatal", { phase: LOG_PHASES.EXPORT, err });
+  process.exit(1);
+});
@@ -0,0 +1,104 @@
+/**
+ * extract.mjs - extração do contador de anúncios da Ad Library
+ *
+ * Tentativa de extração numa página Playwright (parser em parse-ad-count.mjs, classificação
+ * de bloqueios em block-classifier.mjs). Usado pelo scraper.mjs, pelo CLI scrape.mjs e pelo
+ * harness de fixtures (test_extraction_fixtures.mjs).
+ *
+ * Ordem: resposta de busca interceptada (opts.network, network-count.mjs) -> heading aria-level=3 ->
+ * frames -> evaluate da extensão -> seletores extras (h3) -> texto visível do HTML inteiro.
+ * O resultado traz `method` ("network" | "dom") e `selector` dizendo qual passo achou o contador.
+ */
+
+import { parseAdCount } from "./parse-ad-count.mjs";
+import { stripNonVisible } from "./block-classifier.mjs";
+
+/** Heading com o contador de resultados (também usado pela espera de render, render-wait.mjs) */
+export const COUNT_HEADING_SELECTOR = 'div[role="heading"][aria-level="3"]';
+
+const DEFAULT_SELECTOR_TIMEOUT = 10000;
+// Seletores extras (vieram do antigo passe de NULLs); a página já teve tempo de renderizar
+const EXTRA_SELECTORS = ["h3", 'div[data-pagelet="root"] h3'];
+const EXTRA_SELECTOR_TIMEOUT = 1000;
+
+/**
+ * In-page fallback copied from extension (serializable)
+ * Só coleta os textos: o parse do contador é feito fora da página com parseAdCount,
+ * para existir um único parser (funções passadas ao evaluate não enxergam imports).
+ */
+export function injectedGetPageDetailsAndAdCountForEvaluate(offerNameToUse) {
+  const nameElement = document.querySelector('div[role="heading"][aria-level="1"]');
+  const advertiserName = nameElement ? (nameElement.innerText || "").trim() : 'Unknown';
+  const adCountElement = document.querySelector('div[role="heading"][aria-level="3"]');
+  const rawText = adCountElement && adCountElement.innerText ? adCountElement.innerText : null;
+  return { name: advertiserName, offer: offerNameToUse, rawText };
+}
+
+/**
+ * Extraction attempt function (single attempt)
+ * opts.selectorTimeout: tempo máximo esperando o heading na página principal
+ * opts.network: watchNetworkCount(page) ligado antes do goto; sem contador na rede, cai no DOM
+ */
+export async function attemptExtractFromPage(page, offer, { selectorTimeout = DEFAULT_SELECTOR_TIMEOUT, network = null } = {}) {
+  const fromNetwork = async () => (network ? network.result({ timeoutMs: selectorTimeout }).catch(() => ({ found: false })) : { found: false });
+  const dom = (result) => ({ ...result, method: "dom" });
+
+  const intercepted = await fromNetwork();
+  if (intercepted.found) return intercepted;
+
+  // Try heading selector (fast)
+  try {
+    const text = await page.locator(COUNT_HEADING_SELECTOR).first().textContent({ timeout: selectorTimeout }).catch(() => null);
+    if (text) {
+      const parsed = parseAdCount(text);
+      if (parsed) return dom({ found: true, count: parsed.count, approximate: parsed.approximate, raw: text, selector: "heading" });
+    }
+  } catch (e) {
+    // ignore
+  }
+
+  // A resposta da busca pode ter chegado enquanto esperávamos o heading
+  const late = await fromNetwork();
+  if (late.found) return late;
+
+  // Try frames
+  try {
+    for (const frame of page.frames()) {
+      const ft = await frame.locator(COUNT_HEADING_SELECTOR).first().textContent().catch(() => null);
+      if (ft) {
+        const parsed = parseAdCount(ft);
+        if (parsed) return dom({ found: true, count: parsed.count, approximate: parsed.approximate, raw: ft, selector: "frame" });
+      }
+    }
+  } catch (e) {
+    // ignore
+  }
+
+  // Fallback evaluate (extension method)
+  try {
+    const evalRes = await page.evaluate(injectedGetPageDetailsAndAdCountForEvaluate, offer?.offerName || "");
+    const parsed = parseAdCount(evalRes?.rawText);
+    if (parsed) return dom({ found: true, count: parsed.count, approximate: parsed.approximate, raw: evalRes.rawText, advertiserName: evalRes.name, selector: "evaluate" });
+  } catch (e) {
+    // ignore
+  }
+
+  // Extra selectors
+  for (const sel of EXTRA_SELECTORS) {
+    const text = await page.locator(sel).first().textContent({ timeout: EXTRA_SELECTOR_TIMEOUT }).catch(() => null);
+    const parsed = parseAdCount(text);
+    if (parsed) return dom({ found: true, count: parsed.count, approximate: parsed.approximate, raw: text, selector: sel });
+  }
+
+  // Último recurso: texto visível da página inteira (sem <script>, para não pegar números de config)
+  try {
+    const html = await page.content();
+    const text = stripNonVisible(html).replace(/<[^>]+>/g, " ").replace(/\s+/g, " ");
+    const parsed = parseAdCount(text);
+    if (parsed) return dom({ found: true, count: parsed.count, approximate: parsed.approximate, raw: null, selector: "html-fallback" });
+  } catch (e) {
+    // ignore
+  }
+
+  return { found: false };
+}
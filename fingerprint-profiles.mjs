@@ -0,0 +1,266 @@
+/**
+ * fingerprint-profiles.mjs - catálogo de perfis de fingerprint coerentes para os contexts do Playwright
+ *
+ * Antes o browser-context.mjs sorteava o device e, separado, o user agent: saíam combinações como
+ * viewport de iPhone com UA de Firefox no Windows, o que já é sinal de bot. Cada perfil agora fecha
+ * o conjunto inteiro: UA, navigator.platform, locale, timezone, Accept-Language, viewport e flags
+ * de mobile/touch. Só perfis de Chrome (o scraper roda no Chromium; UA de Safari/Firefox não bate
+ * com o motor).
+ *
+ * Configuração:
+ * - FINGERPRINT_PROFILES_FILE: JSON com array de perfis no formato de DEFAULT_PROFILES (substitui o catálogo)
+ * - FINGERPRINT_STICKY=true: um perfil fixo por proxy (ou para o IP direto) durante toda a execução,
+ *   inclusive quando o context é reciclado. Default false: sorteio a cada context novo.
+ *
+ * Escolha aleatória ponderada por `weight` x taxa de sucesso suavizada (como no proxy-pool.mjs).
+ * Resultados por perfil: com FINGERPRINT_RETIRE_MIN_ATTEMPTS (default 10) tentativas e taxa de bloqueio
+ * >= FINGERPRINT_RETIRE_BLOCK_RATE (default 0.5) o perfil é aposentado até o fim da execução (nunca o
+ * último ativo). O stats() vai para o log no fim do worker, para tirar do catálogo os que sempre apanham.
+ */
+
+import fs from "fs";
+import { PROXY_OUTCOMES } from "./proxy-pool.mjs";
+
+const FINGERPRINT_STICKY = String(process.env.FINGERPRINT_STICKY || "false").toLowerCase() === "true";
+const FINGERPRINT_RETIRE_MIN_ATTEMPTS = Math.max(1, parseInt(process.env.FINGERPRINT_RETIRE_MIN_ATTEMPTS || "10", 10));
+const FINGERPRINT_RETIRE_BLOCK_RATE = parseFloat(process.env.FINGERPRINT_RETIRE_BLOCK_RATE || "0.5");
+
+const CHROME_VERSION = "141.0.0.0";
+const ACCEPT_LANGUAGE = {
+  "pt-BR": "pt-BR,pt;q=0.9,en-US;q=0.8,en;q=0.7",
+  "en-US": "en-US,en;q=0.9",
+};
+
+export const DEFAULT_PROFILES = Object.freeze([
+  {
+    id: "win-chrome-ptbr",
+    weight: 5,
+    userAgent: `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION} Safari/537.36`,
+    platform: "Win32",
+    clientHintsPlatform: "Windows",
+    locale: "pt-BR",
+    timezoneId: "America/Sao_Paulo",
+    acceptLanguage: ACCEPT_LANGUAGE["pt-BR"],
+    viewport: { width: 1366, height: 768 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+  },
+  {
+    id: "win-chrome-ptbr-fhd",
+    weight: 3,
+    userAgent: `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION} Safari/537.36`,
+    platform: "Win32",
+    clientHintsPlatform: "Windows",
+    locale: "pt-BR",
+    timezoneId: "America/Sao_Paulo",
+    acceptLanguage: ACCEPT_LANGUAGE["pt-BR"],
+    viewport: { width: 1920, height: 969 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+  },
+  {
+    id: "mac-chrome-ptbr",
+    weight: 2,
+    userAgent: `Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION} Safari/537.36`,
+    platform: "MacIntel",
+    clientHintsPlatform: "macOS",
+    locale: "pt-BR",
+    timezoneId: "America/Sao_Paulo",
+    acceptLanguage: ACCEPT_LANGUAGE["pt-BR"],
+    viewport: { width: 1440, height: 789 },
+    deviceScaleFactor: 2,
+    isMobile: false,
+    hasTouch: false,
+  },
+  {
+    id: "win-chrome-enus",
+    weight: 1,
+    userAgent: `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION} Safari/537.36`,
+    platform: "Win32",
+    clientHintsPlatform: "Windows",
+    locale: "en-US",
+    timezoneId: "America/New_York",
+    acceptLanguage: ACCEPT_LANGUAGE["en-US"],
+    viewport: { width: 1536, height: 730 },
+    deviceScaleFactor: 1.25,
+    isMobile: false,
+    hasTouch: false,
+  },
+  {
+    id: "android-pixel7-ptbr",
+    weight: 2,
+    userAgent: `Mozilla/5.0 (Linux; Android 14; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION} Mobile Safari/537.36`,
+    platform: "Linux armv81",
+    clientHintsPlatform: "Android",
+    locale: "pt-BR",
+    timezoneId: "America/Sao_Paulo",
+    acceptLanguage: ACCEPT_LANGUAGE["pt-BR"],
+    viewport: { width: 412, height: 839 },
+    deviceScaleFactor: 2.625,
+    isMobile: true,
+    hasTouch: true,
+  },
+  {
+    id: "android-galaxy-s21-ptbr",
+    weight: 2,
+    userAgent: `Mozilla/5.0 (Linux; Android 13; SM-G991B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION} Mobile Safari/537.36`,
+    platform: "Linux armv81",
+    clientHintsPlatform: "Android",
+    locale: "pt-BR",
+    timezoneId: "America/Sao_Paulo",
+    acceptLanguage: ACCEPT_LANGUAGE["pt-BR"],
+    viewport: { width: 360, height: 780 },
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+  },
+]);
+
+/** Problemas de coerência de um perfil ([] = ok) */
+export function profileProblems(p) {
+  const problems = [];
+  if (!p || !p.id) return ["sem id"];
+  for (const key of ["userAgent", "platform", "locale", "timezoneId", "acceptLanguage"]) {
+    if (!p[key]) problems.push(`sem ${key}`);
+  }
+  if (!p.viewport || !(p.viewport.width > 0) || !(p.viewport.height > 0)) problems.push("viewport inválido");
+  if (problems.length) return problems;
+  const ua = p.userAgent;
+  if (!/Chrome\//.test(ua) || /Edg\/|OPR\/|Firefox\//.test(ua)) problems.push("UA não é de Chrome");
+  if (p.isMobile !== /Mobile/.test(ua)) problems.push("isMobile não bate com o UA");
+  if (p.isMobile && !p.hasTouch) problems.push("mobile sem touch");
+  const osByPlatform = { Win32: /Windows NT/, MacIntel: /Macintosh/, "Linux x86_64": /X11; Linux/, "Linux armv81": /Android/ };
+  if (!osByPlatform[p.platform]) problems.push(`platform desconhecida: ${p.platform}`);
+  else if (!osByPlatform[p.platform].test(ua)) problems.push(`platform ${p.platform} não bate com o UA`);
+  if (!p.acceptLanguage.startsWith(p.locale)) problems.push("Accept-Language não começa pelo locale");
+  if (!(Number(p.weight ?? 1) > 0)) problems.push("weight deve ser > 0");
+  return problems;
+}
+
+/** Lê o catálogo de FINGERPRINT_PROFILES_FILE (ou DEFAULT_PROFILES). Lança se algum perfil for incoerente. */
+export function loadProfilesFromEnv(env = process.env) {
+  const profiles = env.FINGERPRINT_PROFILES_FILE
+    ? JSON.parse(fs.readFileSync(env.FINGERPRINT_PROFILES_FILE, "utf8"))
+    : DEFAULT_PROFILES;
+  for (const p of profiles) {
+    const problems = profileProblems(p);
+    if (problems.length) throw new Error(`Perfil de fingerprint inválido (${p?.id ?? "?"}): ${problems.join(", ")}`);
+  }
+  return profiles;
+}
+
+/** Opções do browser.newContext para o perfil (headers de client hints acompanham o platform) */
+export function profileContextOptions(p) {
+  return {
+    userAgent: p.userAgent,
+    locale: p.locale,
+    timezoneId: p.timezoneId,
+    viewport: { ...p.viewport },
+    deviceScaleFactor: p.deviceScaleFactor ?? 1,
+    isMobile: Boolean(p.isMobile),
+    hasTouch: Boolean(p.hasTouch),
+    extraHTTPHeaders: {
+      "Accept-Language": p.acceptLanguage,
+      "sec-ch-ua-mobile": p.isMobile ? "?1" : "?0",
+      ...(p.clientHintsPlatform ? { "sec-ch-ua-platform": `"${p.clientHintsPlatform}"` } : {}),
+    },
+  };
+}
+
+/** Script de init que alinha navigator.platform/languages com o perfil (o Chromium reporta os do host) */
+export function profileInitScript(p) {
+  const languages = p.acceptLanguage.split(",").map((l) => l.split(";")[0].trim());
+  return `(() => {
+    const define = (key, value) => Object.defineProperty(Navigator.prototype, key, { get: () => value, configurable: true });
+    define("platform", ${JSON.stringify(p.platform)});
+    define("languages", Object.freeze(${JSON.stringify(languages)}));
+  })();`;
+}
+
+export function createProfilePool(profiles = DEFAULT_PROFILES, {
+  sticky = FINGERPRINT_STICKY,
+  retireMinAttempts = FINGERPRINT_RETIRE_MIN_ATTEMPTS,
+  retireBlockRate = FINGERPRINT_RETIRE_BLOCK_RATE,
+} = {}) {
+  const entries = profiles.map((profile) => ({
+    profile,
+    attempts: 0,
+    success: 0,
+    block: 0,
+    timeout: 0,
+    failure: 0,
+    retired: false,
+  }));
+  const byId = new Map(entries.map((e) => [e.profile.id, e]));
+  const stickyProfiles = new Map(); // stickyKey (proxy id ou "direct") -> profile id
+
+  // Laplace como no proxy-pool: perfil novo começa com 0.5 x weight
+  const weight = (e) => Number(e.profile.weight ?? 1) * ((e.success + 1) / (e.attempts + 2));
+
+  function pick() {
+    const active = entries.filter((e) => !e.retired);
+    const total = active.reduce((sum, e) => sum + weight(e), 0);
+    let r = Math.random() * total;
+    for (const e of active) {
+      r -= weight(e);
+      if (r <= 0) return e.profile;
+    }
+    return active[active.length - 1].profile;
+  }
+
+  return {
+    size: entries.length,
+    sticky,
+
+    /** Perfil para um context novo. Com sticky, stickyKey (proxy id) repete o perfil enquanto ele estiver ativo. */
+    acquire(stickyKey = "direct") {
+      if (entries.length === 0) return null;
+      if (sticky) {
+        const e = byId.get(stickyProfiles.get(stickyKey));
+        if (e && !e.retired) return e.profile;
+      }
+      const profile = pick();
+      if (sticky) stickyProfiles.set(stickyKey, profile.id);
+      return profile;
+    },
+
+    get(profileId) {
+      return byId.get(profileId)?.profile ?? null;
+    },
+
+    /** Registra o resultado de uma página servida pelo perfil (PROXY_OUTCOMES). Retorna true se o perfil foi aposentado agora. */
+    report(profileId, outcome) {
+      const e = byId.get(profileId);
+      if (!e) return false;
+      e.attempts++;
+      if (outcome === PROXY_OUTCOMES.SUCCESS) e.success++;
+      else if (outcome === PROXY_OUTCOMES.BLOCK) e.block++;
+      else if (outcome === PROXY_OUTCOMES.TIMEOUT) e.timeout++;
+      else e.failure++;
+
+      if (e.retired || e.attempts < retireMinAttempts || e.block / e.attempts < retireBlockRate) return false;
+      if (entries.filter((x) => !x.retired).length <= 1) return false;
+      e.retired = true;
+      for (const [key, id] of stickyProfiles) if (id === profileId) stickyProfiles.delete(key);
+      return true;
+    },
+
+    isRetired(profileId) {
+      return Boolean(byId.get(profileId)?.retired);
+    },
+
+    /** Resumo por perfil (para log no fim do worker) */
+    stats() {
+      return entries.map((e) => ({
+        id: e.profile.id,
+        attempts: e.attempts,
+        successRate: e.attempts ? e.success / e.attempts : null,
+        blockRate: e.attempts ? e.block / e.attempts : null,
+        timeoutRate: e.attempts ? e.timeout / e.attempts : null,
+        retired: e.retired,
+      }));
+    },
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * history.mjs - série histórica de activeAds por oferta
+ *
+ * SQL recomendado (execute no Supabase SQL editor se ainda não executou):
+ *   CREATE TABLE IF NOT EXISTS swipe_file_offer_history (
+ *     id bigserial PRIMARY KEY,
+ *     offer_id bigint NOT NULL REFERENCES swipe_file_offers(id) ON DELETE CASCADE,
+ *     "activeAds" integer NOT NULL,
+ *     raw_text text,
+ *     approximate boolean,
+ *     extract_method text,
+ *     worker_id text,
+ *     proxy_id text,
+ *     scraped_at timestamptz NOT NULL DEFAULT now()
+ *   );
+ *   CREATE INDEX IF NOT EXISTS swipe_file_offer_history_offer_scraped_idx
+ *     ON swipe_file_offer_history (offer_id, scraped_at DESC);
+ *   -- extract_method: "network" (resposta interceptada, network-count.mjs) ou "dom" (extract.mjs)
+ *   ALTER TABLE swipe_file_offer_history ADD COLUMN IF NOT EXISTS extract_method text;
+ *
+ * Cada extração bem-sucedida vira uma linha (snapshot); swipe_file_offers.activeAds
+ * continua guardando apenas o valor mais recente.
+ */
+
+import { getOfferRepository } from "./offer-repository.mjs";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Janelas usadas no cálculo de deltas (chave -> dias) */
+export const DELTA_WINDOWS = { d1: 1, d7: 7, d30: 30 };
+
+/** Grava um snapshot de contagem. Retorna { data, error } como o client do Supabase. */
+export async function recordSnapshot({ offerId, activeAds, rawText = null, approximate = null, method = null, workerId = null, proxyId = null, scrapedAt = null }, repo = getOfferRepository()) {
+  return repo.insertHistory({
+    offer_id: offerId,
+    activeAds,
+    raw_text: rawText,
+    approximate,
+    extract_method: method,
+    worker_id: workerId,
+    proxy_id: proxyId,
+    scraped_at: scrapedAt || new Date().toISOString(),
+  });
+}
+
+/** Busca todos os snapshots a partir de sinceIso */
+export async function fetchHistorySince(sinceIso, repo = getOfferRepository()) {
+  return repo.listHistorySince(sinceIso);
+}
+
+/**
+ * Calcula deltas por oferta a partir dos snapshots.
+ * Para cada janela, compara o snapshot mais recente com o último snapshot
+ * registrado até (agora - janela). Sem snapshot base suficiente -> null.
+ * Retorna Map(offer_id -> { d1, d7, d30 }).
+ */
+export function computeDeltas(snapshots, now = Date.now()) {
+  const byOffer = new Map();
+  for (const s of snapshots || []) {
+    if (s == null || typeof s.activeAds !== "number") continue;
+    const ts = Date.parse(s.scraped_at);
+    if (isNaN(ts)) continue;
+    if (!byOffer.has(s.offer_id)) byOffer.set(s.offer_id, []);
+    byOffer.get(s.offer_id).push({ ts, count: s.activeAds });
+  }
+
+  const deltas = new Map();
+  for (const [offerId, points] of byOffer) {
+    points.sort((a, b) => a.ts - b.ts);
+    const latest = points[points.length - 1];
+    const entry = {};
+    for (const [key, days] of Object.entries(DELTA_WINDOWS)) {
+      const cutoff = now - days * DAY_MS;
+      let base = null;
+      for (const p of points) {
+        if (p.ts <= cutoff) base = p;
+        else break;
+      }
+      entry[key] = base ? latest.count - base.count : null;
+    }
+    deltas.set(offerId, entry);
+  }
+  return deltas;
+}
+
+/** Data ISO a partir da qual os snapshots são necessários para todas as janelas (+1 dia de folga) */
+export function historyWindowStart(now = Date.now()) {
+  const maxDays = Math.max(...Object.values(DELTA_WINDOWS));
+  return new Date(now - (maxDays + 1) * DAY_MS).toISOString();
+}
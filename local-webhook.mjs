@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * local-webhook.mjs - stand-in local para webhooks (Slack, Discord, JSON): imprime o que recebe
+ *
+ * USO:
+ *   node local-webhook.mjs                           # escuta em http://localhost:8787 até Ctrl+C
+ *   node local-webhook.mjs --port 9000 --max 1       # encerra após 1 requisição
+ *   node local-webhook.mjs --out received.ndjson     # também grava cada requisição (uma linha JSON)
+ *   node local-webhook.mjs --status 500              # responde com outro status (testar falhas)
+ *   node local-webhook.mjs --fail-first 2            # 503 nas 2 primeiras requisições (testar retry)
+ *   node local-webhook.mjs --secret s3cr3t           # confere X-Eagle-Signature (upload do Eagle)
+ *   (ou npm run webhook:local -- --max 1)
+ *
+ * Aceita qualquer caminho. Corpo gzip (Content-Encoding) é descompactado; JSON é impresso
+ * formatado, o resto vai como texto. Também serve de EAGLE_UPDATE_URL para testar update-eagle-json.mjs.
+ */
+
+import fs from "fs";
+import http from "http";
+import zlib from "zlib";
+import { signPayload } from "./eagle-export.mjs";
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) args[a.slice(2)] = true;
+    else { args[a.slice(2)] = next; i++; }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const PORT = parseInt(args.port || process.env.WEBHOOK_PORT || "8787", 10);
+const MAX = args.max ? parseInt(args.max, 10) : null;
+const STATUS = args.status ? parseInt(args.status, 10) : 200;
+const FAIL_FIRST = args["fail-first"] ? parseInt(args["fail-first"], 10) : 0;
+let received = 0;
+
+/** "ok" | "inválida" | null (sem --secret ou sem assinatura) */
+function checkSignature(headers, raw) {
+  if (!args.secret || !headers["x-eagle-signature"]) return null;
+  const { signature } = signPayload(raw, String(args.secret), headers["x-eagle-timestamp"]);
+  return signature === headers["x-eagle-signature"] ? "ok" : "inválida";
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (c) => chunks.push(c));
+  req.on("end", () => {
+    received++;
+    const buf = Buffer.concat(chunks);
+    const gzipped = req.headers["content-encoding"] === "gzip";
+    let raw;
+    try {
+      raw = (gzipped ? zlib.gunzipSync(buf) : buf).toString("utf8");
+    } catch (e) {
+      raw = buf.toString("utf8");
+      console.log(`⚠️ gzip inválido: ${e.message}`);
+    }
+    let body = raw;
+    try { body = JSON.parse(raw); } catch (e) { /* texto */ }
+    const signature = checkSignature(req.headers, raw);
+    const status = received <= FAIL_FIRST ? 503 : STATUS;
+    console.log(`📨 #${received} ${req.method} ${req.url} (${buf.length} bytes${gzipped ? `, gzip -> ${raw.length}` : ""})` +
+      `${signature ? ` assinatura ${signature}` : ""} -> ${status}`);
+    console.log(typeof body === "string" ? body : JSON.stringify(body, null, 2));
+    if (args.out) {
+      const line = { receivedAt: new Date().toISOString(), method: req.method, url: req.url, headers: req.headers, body };
+      fs.appendFileSync(args.out === true ? "webhook-received.ndjson" : args.out, JSON.stringify(line) + "\n", "utf8");
+    }
+    res.writeHead(status, { "Content-Type": "text/plain" });
+    res.end(status < 400 ? "ok" : "erro simulado");
+    if (MAX && received >= MAX) server.close(() => process.exit(0));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🪝 Webhook local em http://localhost:${PORT} (status ${STATUS}${MAX ? `, encerra após ${MAX}` : ""})`);
+});
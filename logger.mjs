@@ -0,0 +1,97 @@
+/**
+ * logger.mjs - log estruturado (JSON lines) com ids de correlação, ou modo legível para debug local
+ *
+ * LOG_FORMAT:
+ *   pretty (default)  mensagem com emoji + campos extras em key=value (como os logs antigos)
+ *   json              uma linha JSON por evento, para filtrar/agregar (usado nos workflows)
+ * LOG_LEVEL: debug | info (default) | warn | error | silent
+ *
+ * Campos de cada linha JSON:
+ *   level, ts, run_id, worker_id, script, offer_id, phase, msg, error { name, message, code, stack }
+ *   + campos extras passados na chamada
+ *
+ * run_id: RUN_ID, ou GITHUB_RUN_ID-GITHUB_RUN_ATTEMPT no Actions (igual para todos os jobs da
+ * execução), então uma query por run_id + offer_id segue a oferta do passe principal ao passe de NULLs.
+ *
+ * Uso:
+ *   const log = createLogger({ script: "scraper", worker_id: WORKER_ID });
+ *   const olog = log.child({ offer_id: offer.id });
+ *   olog.warn("goto erro", { phase: LOG_PHASES.NAVIGATE, err: e });
+ */
+
+export const LOG_PHASES = Object.freeze({
+  NAVIGATE: "navigate",
+  EXTRACT: "extract",
+  RETRY: "retry",
+  DB: "db",
+  EXPORT: "export",
+  ALERT: "alert",
+  REPORT: "report",
+});
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+export const LOG_FORMAT = (process.env.LOG_FORMAT || "pretty").toLowerCase() === "json" ? "json" : "pretty";
+export const LOG_LEVEL = LEVELS[(process.env.LOG_LEVEL || "info").toLowerCase()] ? (process.env.LOG_LEVEL || "info").toLowerCase() : "info";
+
+export const RUN_ID = process.env.RUN_ID
+  || (process.env.GITHUB_RUN_ID ? `${process.env.GITHUB_RUN_ID}-${process.env.GITHUB_RUN_ATTEMPT || 1}` : `local-${Date.now().toString(36)}`);
+
+/** Normaliza Error / erro do Supabase ({ message, code, details }) / string num objeto serializável */
+export function serializeError(err) {
+  if (err === null || err === undefined) return undefined;
+  if (typeof err !== "object") return { message: String(err) };
+  const out = { message: String(err.message ?? JSON.stringify(err)) };
+  if (err.name && err.name !== "Error") out.name = err.name;
+  if (err.code) out.code = err.code;
+  if (err.details) out.details = err.details;
+  if (err instanceof Error && err.stack) out.stack = err.stack;
+  return out;
+}
+
+function formatValue(v) {
+  return typeof v === "object" && v !== null ? JSON.stringify(v) : String(v);
+}
+
+// Campos de correlação não poluem o modo pretty (o offer_id vira prefixo)
+const PRETTY_HIDDEN = new Set(["run_id", "worker_id", "script", "mode", "offer_id", "phase"]);
+
+function prettyLine(entry) {
+  const prefix = entry.offer_id !== undefined && entry.offer_id !== null ? `[${entry.offer_id}] ` : "";
+  const extras = Object.entries(entry)
+    .filter(([k, v]) => !["level", "ts", "msg", "error"].includes(k) && !PRETTY_HIDDEN.has(k) && v !== undefined)
+    .map(([k, v]) => `${k}=${formatValue(v)}`);
+  const err = entry.error ? ` — ${entry.error.message}` : "";
+  return `${prefix}${entry.msg}${extras.length ? " " + extras.join(" ") : ""}${err}`;
+}
+
+export function createLogger(bindings = {}, { format = LOG_FORMAT, level = LOG_LEVEL } = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  function write(lvl, msg, fields = {}) {
+    if (LEVELS[lvl] < threshold) return;
+    const { err, ...rest } = fields || {};
+    const entry = { level: lvl, ts: new Date().toISOString(), run_id: RUN_ID, ...bindings, ...rest, msg: String(msg) };
+    const error = serializeError(err);
+    if (error) entry.error = error;
+
+    if (format === "json") {
+      process.stdout.write(JSON.stringify(entry) + "\n");
+    } else if (lvl === "error") {
+      console.error(prettyLine(entry));
+    } else if (lvl === "warn") {
+      console.warn(prettyLine(entry));
+    } else {
+      console.log(prettyLine(entry));
+    }
+  }
+
+  return {
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+    /** Logger com campos fixos adicionais (ex.: offer_id) */
+    child: (fields) => createLogger({ ...bindings, ...fields }, { format, level }),
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * network-count.mjs - contador de resultados lido das respostas de busca da Ad Library (sem depender do DOM)
+ *
+ * A página carrega o total pelas próprias requisições assíncronas; o heading aria-level=3 só mostra
+ * esse número depois. Escutando as respostas da página conseguimos o total mesmo quando o heading
+ * não renderiza (layout novo, A/B test, página pesada).
+ *
+ * Respostas reconhecidas (exemplos em fixtures/network/):
+ *   POST /api/graphql/               friendly name / doc "AdLibrary..." -> data...search_results_connection.count
+ *                                    (às vezes vários JSONs, um por linha, quando a resposta vem em stream)
+ *   GET|POST /ads/library/async/search_ads/   "for (;;);{...payload: { totalCount }}"
+ *
+ * O listener é por página (não por context): os contexts do pool atendem várias ofertas ao mesmo tempo.
+ * Uso (antes do goto, como o watchRender):
+ *   const network = watchNetworkCount(page);
+ *   await page.goto(url); ...
+ *   await attemptExtractFromPage(page, offer, { network });   // tenta a rede antes do DOM
+ *   network.restart();                                        // antes de reload/goto na mesma página
+ * result() espera os corpos pendentes no máximo `timeoutMs` (resposta em stream que não termina não
+ * segura a página); corpos de uma navegação anterior ao restart() são descartados.
+ */
+
+const FB_JSON_PREFIX = /^\s*for\s*\(\s*;\s*;\s*\)\s*;/;
+const MAX_DEPTH = 12;
+const DEFAULT_RESULT_TIMEOUT = 10000;
+
+/** Requisição de busca da Ad Library (GraphQL AdLibrary* ou endpoint async search_ads) */
+export function isAdLibrarySearchRequest(request) {
+  const url = request.url();
+  if (url.includes("/ads/library/async/search_ads")) return true;
+  if (!url.includes("/api/graphql")) return false;
+  const friendly = request.headers()["x-fb-friendly-name"] || "";
+  if (/AdLibrary/i.test(friendly)) return true;
+  return /AdLibrary/i.test(request.postData() || "");
+}
+
+function isCount(v) {
+  return Number.isInteger(v) && v >= 0;
+}
+
+/** Procura o total no JSON: search_results_connection.count, depois totalCount / total_count */
+function findCount(node, path, depth) {
+  if (!node || typeof node !== "object" || depth > MAX_DEPTH) return null;
+  if (!Array.isArray(node)) {
+    const conn = node.search_results_connection;
+    if (conn && isCount(conn.count)) return { count: conn.count, path: `${path}.search_results_connection.count` };
+    for (const key of ["totalCount", "total_count"]) {
+      if (isCount(node[key])) return { count: node[key], path: `${path}.${key}` };
+    }
+  }
+  for (const [key, value] of Object.entries(node)) {
+    const found = findCount(value, `${path}.${key}`, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+/** Corpo da resposta (texto) -> JSONs contidos: inteiro, sem o prefixo "for (;;);", ou um por linha */
+export function parsePayloadDocuments(text) {
+  if (!text) return [];
+  const body = String(text).replace(FB_JSON_PREFIX, "");
+  try {
+    return [JSON.parse(body)];
+  } catch (e) {
+    const docs = [];
+    for (const line of body.split(/\r?\n/)) {
+      const trimmed = line.trim().replace(FB_JSON_PREFIX, "");
+      if (!trimmed) continue;
+      try { docs.push(JSON.parse(trimmed)); } catch (err) { /* linha que não é JSON */ }
+    }
+    return docs;
+  }
+}
+
+/** Corpo da resposta -> { count, path } | null (path = onde o total foi achado, para debug) */
+export function parseAdLibraryPayload(text) {
+  for (const doc of parsePayloadDocuments(text)) {
+    const found = findCount(doc, "$", 0);
+    if (found) return found;
+  }
+  return null;
+}
+
+/** Espera as promessas terminarem, no máximo timeoutMs */
+function settleWithin(promises, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve) => { timer = setTimeout(resolve, timeoutMs); });
+  return Promise.race([Promise.allSettled(promises), timeout]).finally(() => clearTimeout(timer));
+}
+
+export function watchNetworkCount(page) {
+  let found = null;
+  let pending = [];
+  let generation = 0; // incrementa no restart(): corpos de navegações anteriores não contam
+
+  const onResponse = (response) => {
+    let matches = false;
+    try { matches = isAdLibrarySearchRequest(response.request()); } catch (e) { /* ignore */ }
+    if (!matches) return;
+    const responseGeneration = generation;
+    const parse = response.text()
+      .then((text) => {
+        if (responseGeneration !== generation) return;
+        const parsed = parseAdLibraryPayload(text);
+        if (parsed && !found) found = { ...parsed, url: response.url() };
+      })
+      .catch(() => {});
+    pending.push(parse);
+  };
+  page.on("response", onResponse);
+
+  return {
+    /** Resultado no formato do attemptExtractFromPage (espera os corpos já recebidos serem lidos, até timeoutMs) */
+    async result({ timeoutMs = DEFAULT_RESULT_TIMEOUT } = {}) {
+      await settleWithin(pending, timeoutMs);
+      if (!found) return { found: false };
+      return { found: true, count: found.count, approximate: false, raw: `${found.path} = ${found.count}`, selector: "network", method: "network" };
+    },
+
+    restart() {
+      generation++;
+      found = null;
+      pending = [];
+    },
+
+    stop() {
+      page.off("response", onResponse);
+    },
+  };
+}
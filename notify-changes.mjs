@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * notify-changes.mjs - digest das variações grandes de activeAds para um webhook (change-alerts.mjs)
+ *
+ * USO:
+ *   node notify-changes.mjs                          # janela: últimas ALERT_WINDOW_HOURS (default 24h)
+ *   node notify-changes.mjs --since 2024-05-01T03:00:00Z
+ *   node notify-changes.mjs --dry-run                # imprime o payload, não envia
+ *   node notify-changes.mjs --format discord         # força o formato (default: pela URL)
+ *   node notify-changes.mjs --out alerts.json        # grava os alertas detectados em JSON
+ *   (ou npm run alerts -- --dry-run)
+ *
+ * Env: ALERT_WEBHOOK_URL (sem ela, só loga o digest), ALERT_WEBHOOK_FORMAT, ALERT_WINDOW_HOURS,
+ * ALERT_LOOKBACK_DAYS (até onde buscar o snapshot anterior, default 30), ALERT_MAX_ITEMS,
+ * limiares ALERT_SCALE_UP_PCT / ALERT_DROP_PCT / ALERT_DIED_FROM / ALERT_MIN_ADS.
+ *
+ * Teste local sem Slack/Discord:
+ *   node local-webhook.mjs --port 8787 --max 1 &
+ *   ALERT_WEBHOOK_URL=http://localhost:8787/hook node notify-changes.mjs
+ *
+ * Sem alertas na janela nada é enviado. Exit 1 se a leitura do DB ou o POST falharem.
+ */
+
+import fs from "fs";
+import { getOfferRepository } from "./offer-repository.mjs";
+import { fetchHistorySince } from "./history.mjs";
+import { alertThresholds, detectChanges, formatDigest, postWebhook, webhookFormatFor } from "./change-alerts.mjs";
+import { LOG_PHASES, createLogger } from "./logger.mjs";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const ALERT_WINDOW_HOURS = parseFloat(process.env.ALERT_WINDOW_HOURS || "24");
+const ALERT_LOOKBACK_DAYS = parseFloat(process.env.ALERT_LOOKBACK_DAYS || "30");
+const ALERT_MAX_ITEMS = Math.max(1, parseInt(process.env.ALERT_MAX_ITEMS || "25", 10));
+
+const log = createLogger({ script: "notify-changes" });
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) args[a.slice(2)] = true;
+    else { args[a.slice(2)] = next; i++; }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const since = args.since && args.since !== true
+    ? new Date(args.since).toISOString()
+    : new Date(Date.now() - ALERT_WINDOW_HOURS * HOUR_MS).toISOString();
+  const thresholds = alertThresholds();
+  const repo = getOfferRepository();
+
+  const { data: offers, error } = await repo.listOffers({ excludeDeleted: true });
+  if (error) {
+    log.error("❌ Erro ao buscar ofertas", { phase: LOG_PHASES.DB, err: error });
+    process.exit(1);
+  }
+  const lookbackStart = new Date(Date.parse(since) - ALERT_LOOKBACK_DAYS * DAY_MS).toISOString();
+  const { data: history, error: historyError } = await fetchHistorySince(lookbackStart, repo);
+  if (historyError) {
+    log.error("❌ Erro ao buscar histórico", { phase: LOG_PHASES.DB, err: historyError });
+    process.exit(1);
+  }
+
+  const alerts = detectChanges(history || [], offers || [], { since, thresholds });
+  const byKind = alerts.reduce((acc, a) => ({ ...acc, [a.kind]: (acc[a.kind] || 0) + 1 }), {});
+  log.info(`🔔 ${alerts.length} variações acima dos limiares desde ${since}`, { phase: LOG_PHASES.ALERT, by_kind: byKind, thresholds });
+
+  if (args.out) {
+    const file = args.out === true ? "alerts.json" : args.out;
+    fs.writeFileSync(file, JSON.stringify({ since, thresholds, alerts }, null, 2) + "\n", "utf8");
+    log.info(`📝 Alertas gravados em ${file}`, { phase: LOG_PHASES.ALERT });
+  }
+  if (alerts.length === 0) return;
+
+  const url = process.env.ALERT_WEBHOOK_URL;
+  const format = webhookFormatFor(url, args.format && args.format !== true ? args.format : process.env.ALERT_WEBHOOK_FORMAT);
+  const payload = formatDigest(alerts, format, { since, thresholds, maxItems: ALERT_MAX_ITEMS });
+
+  if (args["dry-run"] || !url) {
+    if (!url) log.warn("⚠️ ALERT_WEBHOOK_URL não definida — digest só no log", { phase: LOG_PHASES.ALERT });
+    console.log(JSON.stringify(payload, null, 2));
+    return;
+  }
+
+  log.info(`🌐 Enviando digest (${format}) para o webhook...`, { phase: LOG_PHASES.ALERT });
+  const res = await postWebhook(url, payload);
+  if (!res.ok) {
+    log.error(`❌ Webhook respondeu ${res.status}`, { phase: LOG_PHASES.ALERT, status: res.status, response: res.body });
+    process.exit(1);
+  }
+  log.info("✅ Digest enviado", { phase: LOG_PHASES.ALERT, status: res.status });
+}
+
+main().catch((err) => {
+  log.error("Erro fatal", { err });
+  process.exit(1);
+});
@@ -0,0 +1,120 @@
+/**
+ * offer-export.mjs - campos e filtros para exportar as ofertas em CSV / NDJSON (export-offers.mjs)
+ *
+ * Os campos do Eagle (mesmo mapeamento do update-eagle-json.mjs) + estado do scrape
+ * (status, attempts, updatedAt, ...). Toda linha exportada tem todas as colunas pedidas, com o
+ * mesmo tipo em todas as linhas (número ou null, texto ou null), então o NDJSON converte direto
+ * para Parquet (duckdb, pandas, BigQuery...). activeAdsByCountry sai como objeto no NDJSON e
+ * como texto JSON no CSV.
+ */
+
+import { OFFER_STATES, stateOf } from "./retry-policy.mjs";
+import { parseCountryBreakdown } from "./country-counts.mjs";
+
+/** Converte "null", "NULL", "" e undefined em null literal */
+export function cleanValue(v) {
+  return v === null || v === undefined || v === "" || v === "null" || v === "NULL" ? null : v;
+}
+
+function toCount(v) {
+  return typeof v === "number" ? v : Number(v) || null;
+}
+
+/**
+ * Catálogo de campos: nome da coluna -> valor a partir da linha de swipe_file_offers.
+ * delta(o, key) vem do history.mjs (computeDeltas); só é buscado se algum campo de delta for pedido.
+ */
+export const EXPORT_FIELDS = {
+  id: (o) => cleanValue(o.id),
+  offerName: (o) => cleanValue(o.offerName),
+  niche: (o) => cleanValue(o.niche),
+  activeAds: (o) => toCount(o.activeAds),
+  activeAdsD1: (o, delta) => delta(o, "d1"),
+  activeAdsD7: (o, delta) => delta(o, "d7"),
+  activeAdsD30: (o, delta) => delta(o, "d30"),
+  activeAdsByCountry: (o) => parseCountryBreakdown(o.active_ads_by_country),
+  status: (o) => cleanValue(o.status_updated),
+  state: (o) => stateOf(cleanValue(o.status_updated)),
+  attempts: (o) => (typeof o.attempts === "number" ? o.attempts : null),
+  lastFailureReason: (o) => cleanValue(o.last_failure_reason),
+  nextEligibleAt: (o) => cleanValue(o.next_eligible_at),
+  updatedAt: (o) => cleanValue(o.updated_at),
+  advertiserName: (o) => cleanValue(o.advertiser_name),
+  advertiserPageId: (o) => cleanValue(o.advertiser_page_id),
+  location: (o) => cleanValue(o.location),
+  funnel: (o) => cleanValue(o.funnel),
+  deliverable: (o) => cleanValue(o.deliverable),
+  ticket: (o) => cleanValue(o.ticket),
+  dateAdded: (o) => cleanValue(o.dateAdded ?? o.created_at),
+  adLibraryUrl: (o) => cleanValue(o.adLibraryUrl),
+  pageUrl: (o) => cleanValue(o.pageUrl),
+  checkoutUrl: (o) => cleanValue(o.checkoutUrl),
+};
+
+export const DEFAULT_EXPORT_FIELDS = ["id", "offerName", "niche", "activeAds", "status", "attempts", "updatedAt", "adLibraryUrl"];
+export const DELTA_FIELDS = ["activeAdsD1", "activeAdsD7", "activeAdsD30"];
+export const EXPORT_FORMATS = ["csv", "ndjson"];
+
+function splitList(value) {
+  if (value === null || value === undefined || value === true) return [];
+  return String(value).split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+/** "id,niche,activeAds" | "all" -> lista validada de campos (lança com os nomes desconhecidos) */
+export function parseFields(value) {
+  const list = splitList(value);
+  if (list.length === 0) return DEFAULT_EXPORT_FIELDS.slice();
+  if (list.length === 1 && list[0] === "all") return Object.keys(EXPORT_FIELDS);
+  const unknown = list.filter((f) => !EXPORT_FIELDS[f]);
+  if (unknown.length) throw new Error(`Campos desconhecidos: ${unknown.join(", ")} (disponíveis: ${Object.keys(EXPORT_FIELDS).join(", ")})`);
+  return list;
+}
+
+/**
+ * Filtros a partir das opções da CLI/env:
+ *   niche        lista separada por vírgula (sem diferenciar maiúsculas)
+ *   minAds       activeAds >= N (null fica de fora)
+ *   state        pending | success | failed | dead (lista), ver retry-policy.mjs
+ *   updatedSince updated_at >= data ISO
+ */
+export function buildFilter({ niche = null, minAds = null, state = null, updatedSince = null } = {}) {
+  const niches = splitList(niche).map((n) => n.toLowerCase());
+  const states = splitList(state).map((s) => s.toLowerCase());
+  const unknownStates = states.filter((s) => !Object.values(OFFER_STATES).includes(s));
+  if (unknownStates.length) throw new Error(`Estados desconhecidos: ${unknownStates.join(", ")} (use ${Object.values(OFFER_STATES).join(", ")})`);
+  const min = minAds === null || minAds === undefined || minAds === true ? null : Number(minAds);
+  if (min !== null && !Number.isFinite(min)) throw new Error(`min-ads inválido: ${minAds}`);
+  const since = updatedSince && updatedSince !== true ? new Date(updatedSince).toISOString() : null;
+
+  return (o) => {
+    if (niches.length && !niches.includes(String(cleanValue(o.niche) ?? "").toLowerCase())) return false;
+    if (min !== null && !(toCount(o.activeAds) >= min)) return false;
+    if (states.length && !states.includes(stateOf(cleanValue(o.status_updated)))) return false;
+    if (since && !(cleanValue(o.updated_at) && o.updated_at >= since)) return false;
+    return true;
+  };
+}
+
+/** Linha de swipe_file_offers -> objeto só com os campos pedidos, na ordem pedida */
+export function projectOffer(o, fields, deltas = null) {
+  const delta = (offer, key) => deltas?.get(offer.id)?.[key] ?? null;
+  return Object.fromEntries(fields.map((f) => [f, EXPORT_FIELDS[f](o, delta)]));
+}
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(s) || /^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** CSV (RFC 4180, \r\n): cabeçalho + linhas; null vira célula vazia */
+export function toCsv(rows, fields) {
+  const lines = [fields.map(csvCell).join(",")];
+  for (const row of rows) lines.push(fields.map((f) => csvCell(row[f])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+/** NDJSON: um objeto JSON por linha */
+export function toNdjson(rows) {
+  return rows.map((r) => JSON.stringify(r)).join("\n") + (rows.length ? "\n" : "");
+}
@@ -0,0 +1,324 @@
+/**
+ * offer-repository.mjs - acesso às ofertas e ao histórico atrás de uma interface única
+ *
+ * Backends (STORAGE_BACKEND):
+ * - supabase (default): usa o client de supabase.js (SUPABASE_URL / SUPABASE_KEY)
+ * - json: arquivo local (LOCAL_DB_PATH, default ./local-db.json), útil para rodar o
+ *   pipeline inteiro sem Supabase. Formato:
+ *     { "swipe_file_offers": [ { "id": 1, "adLibraryUrl": "...", ... } ], "swipe_file_offer_history": [], "swipe_file_offer_ads": [] }
+ *
+ * Todos os métodos retornam { data, error } (mesmo contrato do client do Supabase),
+ * então o código que chama continua tratando erros do mesmo jeito.
+ *
+ * Interface:
+ *   listOffers({ onlyNullActiveAds, excludeDeleted, orderBy: { column, ascending } })
+ *   getOffer(id)                      -> data = oferta ou null
+ *   updateOffer(id, patch)
+ *   claimOffers({ workerId, limit, leaseMs, updatedBefore, onlyNullActiveAds, onlyFailed })
+ *   completeOffer(id, patch)          -> updateOffer + libera o lease
+ *   insertHistory(row)
+ *   listHistorySince(sinceIso)
+ *   upsertAds(rows)                   -> cards de anúncio por (offer_id, library_id), ver ad-cards.mjs
+ *
+ * Fila com lease (claimOffers): cada worker reserva um lote pequeno de ofertas por leaseMs.
+ * Ofertas "dead" ou com next_eligible_at no futuro ficam de fora (ver retry-policy.mjs).
+ * Ordem: priority DESC, updated_at ASC (mais velhas primeiro). Leases vencidos (worker que
+ * caiu) voltam para a fila automaticamente. Só entram ofertas com updated_at < updatedBefore,
+ * o que evita reprocessar na mesma execução o que outro worker acabou de gravar.
+ * onlyNullActiveAds / onlyFailed restringem a activeAds NULL / ofertas em estado "failed"
+ * (status_updated preenchido e diferente de "success"), usados pelos modos do scraper.mjs.
+ *
+ * SQL recomendado (Supabase SQL editor) para a fila:
+ *   ALTER TABLE swipe_file_offers ADD COLUMN IF NOT EXISTS priority integer DEFAULT 0;
+ *   ALTER TABLE swipe_file_offers ADD COLUMN IF NOT EXISTS lease_owner text;
+ *   ALTER TABLE swipe_file_offers ADD COLUMN IF NOT EXISTS lease_expires_at timestamptz;
+ *
+ *   CREATE OR REPLACE FUNCTION claim_offers(
+ *     p_worker_id text, p_limit integer, p_lease_seconds integer,
+ *     p_updated_before timestamptz, p_only_null boolean DEFAULT false,
+ *     p_only_failed boolean DEFAULT false
+ *   ) RETURNS SETOF swipe_file_offers LANGUAGE sql AS $$
+ *     UPDATE swipe_file_offers o
+ *        SET lease_owner = p_worker_id,
+ *            lease_expires_at = now() + make_interval(secs => p_lease_seconds)
+ *      WHERE o.id IN (
+ *        SELECT id FROM swipe_file_offers
+ *         WHERE deleted_at IS NULL
+ *           AND COALESCE("adLibraryUrl", '') <> ''
+ *           AND (lease_expires_at IS NULL OR lease_expires_at < now())
+ *           AND status_updated IS DISTINCT FROM 'dead'
+ *           AND (next_eligible_at IS NULL OR next_eligible_at <= now())
+ *           AND (updated_at IS NULL OR updated_at < p_updated_before)
+ *           AND (NOT p_only_null OR "activeAds" IS NULL)
+ *           AND (NOT p_only_failed OR COALESCE(status_updated, '') NOT IN ('', 'success'))
+ *         ORDER BY priority DESC NULLS LAST, updated_at ASC NULLS FIRST, id
+ *         LIMIT p_limit
+ *         FOR UPDATE SKIP LOCKED
+ *      )
+ *     RETURNING o.*;
+ *   $$;
+ */
+
+import fs from "fs";
+import path from "path";
+import { OFFER_STATES, isEligible, stateOf } from "./retry-policy.mjs";
+
+export const OFFERS_TABLE = "swipe_file_offers";
+export const HISTORY_TABLE = "swipe_file_offer_history";
+export const ADS_TABLE = "swipe_file_offer_ads";
+
+const PAGE_SIZE = 1000; // limite padrão de linhas por select no Supabase
+
+const LEASE_RELEASE = Object.freeze({ lease_owner: null, lease_expires_at: null });
+
+function toError(e) {
+  return { message: String(e?.message || e) };
+}
+
+/** Backend Supabase: o client só é carregado quando usado (o backend json não exige as env vars) */
+function createSupabaseRepository() {
+  let clientPromise = null;
+  const client = () => {
+    if (!clientPromise) clientPromise = import("./supabase.js").then((m) => m.supabase);
+    return clientPromise;
+  };
+
+  return {
+    backend: "supabase",
+
+    async listOffers({ onlyNullActiveAds = false, excludeDeleted = false, orderBy = null } = {}) {
+      const supabase = await client();
+      let query = supabase.from(OFFERS_TABLE).select("*");
+      if (onlyNullActiveAds) query = query.is("activeAds", null);
+      if (excludeDeleted) query = query.is("deleted_at", null);
+      if (orderBy) query = query.order(orderBy.column, { ascending: orderBy.ascending !== false });
+      return query;
+    },
+
+    async getOffer(id) {
+      const supabase = await client();
+      return supabase.from(OFFERS_TABLE).select("*").eq("id", id).maybeSingle();
+    },
+
+    async updateOffer(id, patch) {
+      const supabase = await client();
+      return supabase.from(OFFERS_TABLE).update(patch).eq("id", id);
+    },
+
+    async claimOffers({ workerId, limit, leaseMs, updatedBefore, onlyNullActiveAds = false, onlyFailed = false }) {
+      const supabase = await client();
+      return supabase.rpc("claim_offers", {
+        p_worker_id: workerId,
+        p_limit: limit,
+        p_lease_seconds: Math.ceil(leaseMs / 1000),
+        p_updated_before: updatedBefore,
+        p_only_null: onlyNullActiveAds,
+        p_only_failed: onlyFailed,
+      });
+    },
+
+    async completeOffer(id, patch) {
+      return this.updateOffer(id, { ...patch, ...LEASE_RELEASE });
+    },
+
+    async insertHistory(row) {
+      const supabase = await client();
+      return supabase.from(HISTORY_TABLE).insert(row);
+    },
+
+    async listHistorySince(sinceIso) {
+      const supabase = await client();
+      const rows = [];
+      for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+          .from(HISTORY_TABLE)
+          .select("offer_id, activeAds, scraped_at")
+          .gte("scraped_at", sinceIso)
+          .order("scraped_at", { ascending: true })
+          .range(from, from + PAGE_SIZE - 1);
+        if (error) return { data: null, error };
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) break;
+      }
+      return { data: rows, error: null };
+    },
+
+    async upsertAds(rows) {
+      const supabase = await client();
+      return supabase.from(ADS_TABLE).upsert(rows, { onConflict: "offer_id,library_id" });
+    },
+  };
+}
+
+/** Backend JSON local: carrega o arquivo uma vez e regrava a cada escrita (escritas serializadas) */
+function createJsonRepository(filePath = process.env.LOCAL_DB_PATH || "./local-db.json") {
+  let db = null;
+  let writeChain = Promise.resolve();
+
+  function load() {
+    if (db) return db;
+    db = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")) : {};
+    db[OFFERS_TABLE] = db[OFFERS_TABLE] || [];
+    db[HISTORY_TABLE] = db[HISTORY_TABLE] || [];
+    db[ADS_TABLE] = db[ADS_TABLE] || [];
+    return db;
+  }
+
+  function persist() {
+    writeChain = writeChain.then(async () => {
+      const dir = path.dirname(filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      const tmp = `${filePath}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(db, null, 2), "utf8");
+      await fs.promises.rename(tmp, filePath);
+    });
+    return writeChain;
+  }
+
+  function compare(column, ascending) {
+    return (a, b) => {
+      const va = a[column];
+      const vb = b[column];
+      if (va === vb) return 0;
+      if (va == null) return 1; // nulls por último, como no Postgres (asc)
+      if (vb == null) return -1;
+      return (va < vb ? -1 : 1) * (ascending ? 1 : -1);
+    };
+  }
+
+  return {
+    backend: "json",
+
+    async listOffers({ onlyNullActiveAds = false, excludeDeleted = false, orderBy = null } = {}) {
+      try {
+        let rows = load()[OFFERS_TABLE].slice();
+        if (onlyNullActiveAds) rows = rows.filter((o) => o.activeAds == null);
+        if (excludeDeleted) rows = rows.filter((o) => o.deleted_at == null);
+        if (orderBy) rows.sort(compare(orderBy.column, orderBy.ascending !== false));
+        return { data: rows.map((o) => ({ ...o })), error: null };
+      } catch (e) {
+        return { data: null, error: toError(e) };
+      }
+    },
+
+    async getOffer(id) {
+      try {
+        const offer = load()[OFFERS_TABLE].find((o) => String(o.id) === String(id));
+        return { data: offer ? { ...offer } : null, error: null };
+      } catch (e) {
+        return { data: null, error: toError(e) };
+      }
+    },
+
+    async updateOffer(id, patch) {
+      try {
+        const rows = load()[OFFERS_TABLE].filter((o) => String(o.id) === String(id));
+        for (const row of rows) Object.assign(row, patch);
+        await persist();
+        return { data: rows.map((o) => ({ ...o })), error: null };
+      } catch (e) {
+        return { data: null, error: toError(e) };
+      }
+    },
+
+    // Um único processo por arquivo: o claim é atômico dentro do processo (sem await entre ler e reservar)
+    async claimOffers({ workerId, limit, leaseMs, updatedBefore, onlyNullActiveAds = false, onlyFailed = false }) {
+      try {
+        const now = Date.now();
+        const nowIso = new Date(now).toISOString();
+        const claimable = load()[OFFERS_TABLE]
+          .filter((o) => o.deleted_at == null && o.adLibraryUrl)
+          .filter((o) => !o.lease_expires_at || o.lease_expires_at < nowIso)
+          .filter((o) => isEligible(o, now))
+          .filter((o) => !o.updated_at || o.updated_at < updatedBefore)
+          .filter((o) => !onlyNullActiveAds || o.activeAds == null)
+          .filter((o) => !onlyFailed || stateOf(o.status_updated) === OFFER_STATES.FAILED)
+          .sort((a, b) =>
+            (b.priority ?? 0) - (a.priority ?? 0) ||
+            (a.updated_at ? 1 : 0) - (b.updated_at ? 1 : 0) || // nunca atualizadas primeiro
+            compare("updated_at", true)(a, b) ||
+            compare("id", true)(a, b))
+          .slice(0, limit);
+        const leaseUntil = new Date(now + leaseMs).toISOString();
+        for (const o of claimable) {
+          o.lease_owner = workerId;
+          o.lease_expires_at = leaseUntil;
+        }
+        if (claimable.length) await persist();
+        return { data: claimable.map((o) => ({ ...o })), error: null };
+      } catch (e) {
+        return { data: null, error: toError(e) };
+      }
+    },
+
+    async completeOffer(id, patch) {
+      return this.updateOffer(id, { ...patch, ...LEASE_RELEASE });
+    },
+
+    async insertHistory(row) {
+      try {
+        const history = load()[HISTORY_TABLE];
+        const id = history.reduce((max, h) => Math.max(max, h.id || 0), 0) + 1;
+        const inserted = { id, ...row };
+        history.push(inserted);
+        await persist();
+        return { data: [inserted], error: null };
+      } catch (e) {
+        return { data: null, error: toError(e) };
+      }
+    },
+
+    async listHistorySince(sinceIso) {
+      try {
+        const rows = load()[HISTORY_TABLE]
+          .filter((h) => h.scraped_at >= sinceIso)
+          .sort(compare("scraped_at", true));
+        return { data: rows.map((h) => ({ ...h })), error: null };
+      } catch (e) {
+        return { data: null, error: toError(e) };
+      }
+    },
+
+    async upsertAds(rows) {
+      try {
+        const ads = load()[ADS_TABLE];
+        const saved = [];
+        for (const row of rows) {
+          const existing = ads.find((a) => a.offer_id === row.offer_id && a.library_id === row.library_id);
+          if (existing) {
+            saved.push(Object.assign(existing, row));
+          } else {
+            const inserted = { first_seen_at: row.last_seen_at || new Date().toISOString(), ...row };
+            ads.push(inserted);
+            saved.push(inserted);
+          }
+        }
+        await persist();
+        return { data: saved.map((a) => ({ ...a })), error: null };
+      } catch (e) {
+        return { data: null, error: toError(e) };
+      }
+    },
+  };
+}
+
+/** Cria um repositório para o backend informado (default: STORAGE_BACKEND ou "supabase") */
+export function createOfferRepository(backend = process.env.STORAGE_BACKEND || "supabase") {
+  switch (String(backend).toLowerCase()) {
+    case "supabase":
+      return createSupabaseRepository();
+    case "json":
+    case "local":
+      return createJsonRepository();
+    default:
+      throw new Error(`STORAGE_BACKEND desconhecido: ${backend} (use "supabase" ou "json")`);
+  }
+}
+
+let defaultRepository = null;
+
+/** Repositório compartilhado do processo (criado na primeira chamada) */
+export function getOfferRepository() {
+  if (!defaultRepository) defaultRepository = createOfferRepository();
+  return defaultRepository;
+}
@@ -0,0 +1,103 @@
+/**
+ * parse-ad-count.mjs - parser único do contador de resultados da Ad Library
+ *
+ * Entende, nos idiomas em que a Ad Library aparece (PT, EN, ES, FR, DE, IT, NL, PL, TR, ID, RO...):
+ * - separadores de milhar: "1.234", "1,234", "1 234" (inclui NBSP / espaço fino); o separador só vale
+ *   seguido de exatamente 3 dígitos e sempre o mesmo no número inteiro — "2024 1,234" ou "1,2345" não
+ *   viram um número só (o html-fallback varre o texto da página inteira)
+ * - sufixos de milhar/milhão/bilhão com decimal: "~1,2 mil", "1.2K", "3,4 mi", "1,5 Mio.", "2 mln", "1.2B"
+ *   ("B" é bilhão, exceto em turco, onde "B" = bin = mil: "1,2 B sonuç")
+ * - decimal sem sufixo ("~1,2") não é contador: retorna null
+ * - marcadores de aproximação: "~", "cerca de", "about", "environ", "etwa", "circa", ...
+ *
+ * Exige um "~" antes do número ou a palavra "resultados/results/..." depois dele,
+ * para não confundir outros números da página com o contador.
+ *
+ * parseAdCount(text) -> { count, approximate } | null
+ * parseCountFollowedBy(text, words) -> mesmo parse, para outros contadores ("12 mil curtidas")
+ */
+
+const THOUSAND_SUFFIXES = ["tausend", "mille", "mila", "tsd", "tys", "mil", "rb", "k"];
+const MILLION_SUFFIXES = [
+  "milhões", "milhão", "millones", "millón", "millions", "million", "milioni", "milione",
+  "miljoen", "mln", "mio", "mn", "mi", "jt", "m",
+];
+const BILLION_SUFFIXES = ["billion", "bn", "b"];
+const TURKISH_RESULT_WORDS = ["sonuçlar", "sonuç"];
+
+const RESULT_WORDS = [
+  "resultados", "resultado", "results", "result", "résultats", "résultat", "ergebnisse", "ergebnis",
+  "risultati", "risultato", "resultaten", "resultaat", "wyników", "wyniki", "wynik", "sonuçlar",
+  "sonuç", "hasil", "rezultate", "rezultat",
+];
+
+const APPROX_MARKERS = [
+  "~", "≈", "about", "around", "approximately", "approx", "aproximadamente", "cerca de", "mais de",
+  "más de", "more than", "over", "environ", "plus de", "etwa", "ungefähr", "über", "circa", "oltre",
+  "ongeveer", "około", "ponad", "yaklaşık", "sekitar", "aproximativ",
+];
+
+const SEP = "[.,'\\s\\u00A0\\u202F]";
+// Inteiro: grupos de 3 dígitos com o mesmo separador ("1.234.567", "1 234") ou dígitos corridos;
+// decimal opcional (só aceito com sufixo). Não começa logo depois de "dígito + separador".
+const NUM = `(?<![\\d.,']|\\d${SEP})(?<num>\\d{1,3}(?:(?<sep>${SEP})\\d{3}(?:\\k<sep>\\d{3})*)(?![.,]?\\d)|\\d+(?:[.,](?<dec>\\d{1,2}))?(?![.,]?\\d))`;
+const SUFFIX = `(?:\\s*(?<suffix>${[...BILLION_SUFFIXES, ...MILLION_SUFFIXES, ...THOUSAND_SUFFIXES].sort((a, b) => b.length - a.length).join("|")})\\.?(?![\\p{L}]))?`;
+const RESULTS = `(?<word>${RESULT_WORDS.join("|")})(?![\\p{L}])`;
+
+const WITH_RESULTS_RE = new RegExp(`${NUM}${SUFFIX}\\s*${RESULTS}`, "iu");
+const WITH_TILDE_RE = new RegExp(`[~≈]\\s*${NUM}${SUFFIX}`, "iu");
+
+function multiplierFor(suffix, word) {
+  if (!suffix) return 1;
+  const s = suffix.toLowerCase();
+  if (s === "b" && word && TURKISH_RESULT_WORDS.includes(word.toLowerCase())) return 1_000;
+  if (BILLION_SUFFIXES.includes(s)) return 1_000_000_000;
+  if (MILLION_SUFFIXES.includes(s)) return 1_000_000;
+  if (THOUSAND_SUFFIXES.includes(s)) return 1_000;
+  return 1;
+}
+
+/**
+ * Converte o número casado por NUM:
+ * - "1.234" / "1,234" / "1 234" -> grupos de 3 dígitos = milhar
+ * - "1,2" / "1.25" -> decimal (1 ou 2 casas), só válido com sufixo
+ */
+function parseNumberToken({ num, sep, dec }) {
+  if (sep !== undefined) return parseInt(num.split(sep).join(""), 10);
+  if (dec !== undefined) return parseFloat(`${num.slice(0, -(dec.length + 1))}.${dec}`);
+  return parseInt(num, 10);
+}
+
+function hasApproxMarker(text) {
+  const lowered = text.toLowerCase();
+  return APPROX_MARKERS.some((m) => {
+    if (m.length === 1) return lowered.includes(m);
+    return new RegExp(`(^|[^\\p{L}])${m}(?![\\p{L}])`, "u").test(lowered);
+  });
+}
+
+function countFromMatch(text, m) {
+  const value = parseNumberToken(m.groups);
+  if (isNaN(value)) return null;
+  const multiplier = multiplierFor(m.groups.suffix, m.groups.word);
+  if (!Number.isInteger(value) && multiplier === 1) return null;
+  const count = Math.round(value * multiplier);
+
+  return { count, approximate: multiplier > 1 || !Number.isInteger(value) || hasApproxMarker(text) };
+}
+
+export function parseAdCount(text) {
+  if (!text || typeof text !== "string") return null;
+  const m = text.match(WITH_RESULTS_RE) || text.match(WITH_TILDE_RE);
+  if (!m) return null;
+  return countFromMatch(text, m);
+}
+
+/** Número (com separadores/sufixos locais) seguido de uma das `words` */
+export function parseCountFollowedBy(text, words) {
+  if (!text || typeof text !== "string" || !words?.length) return null;
+  const escaped = words.map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const m = text.match(new RegExp(`${NUM}${SUFFIX}\\s*(?:${escaped.join("|")})(?![\\p{L}])`, "iu"));
+  if (!m) return null;
+  return countFromMatch(text, m);
+}
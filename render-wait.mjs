@@ -0,0 +1,88 @@
+/**
+ * render-wait.mjs - espera a Ad Library renderizar por sinais reais em vez de um sleep fixo
+ *
+ * Antes cada página dormia WAIT_TIME (+ jitter) e só depois procurava o heading. Agora a espera
+ * termina no primeiro destes sinais:
+ *   heading       o heading de resultados (aria-level=3) já tem um contador que o parseAdCount entende
+ *   graphql       chegou a resposta da busca da Ad Library (isAdLibrarySearchRequest, network-count.mjs)
+ *                 e passou RENDER_GRAPHQL_SETTLE_MS
+ *   network_idle  nenhuma requisição em voo há RENDER_IDLE_MS
+ *   timeout       o teto (WAIT_TIME) — o sleep antigo virou só o limite superior
+ * Em graphql / network_idle o attemptExtractFromPage ainda espera o heading até SELECTOR_TIMEOUT.
+ *
+ * Uso (o watch precisa começar antes do goto para ver as requisições da navegação):
+ *   const render = watchRender(page);
+ *   const response = await page.goto(url, ...);
+ *   const { signal, waitMs, renderMs } = await render.wait({ maxWaitMs: WAIT_TIME });
+ *   render.restart(); await page.reload(...); await render.wait(...);   // nova navegação na mesma página
+ * renderMs conta desde o watchRender/restart (navegação + render); waitMs só a espera após o goto.
+ * Os listeners morrem com a página; stop() remove antes, se a página continuar em uso.
+ */
+
+import { parseAdCount } from "./parse-ad-count.mjs";
+import { COUNT_HEADING_SELECTOR } from "./extract.mjs";
+import { isAdLibrarySearchRequest } from "./network-count.mjs";
+
+export const RENDER_SIGNALS = Object.freeze({
+  HEADING: "heading",
+  GRAPHQL: "graphql",
+  NETWORK_IDLE: "network_idle",
+  TIMEOUT: "timeout",
+});
+
+const RENDER_IDLE_MS = parseInt(process.env.RENDER_IDLE_MS || "1500", 10);
+const RENDER_GRAPHQL_SETTLE_MS = parseInt(process.env.RENDER_GRAPHQL_SETTLE_MS || "400", 10);
+const RENDER_POLL_MS = 250;
+
+function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
+
+export function watchRender(page, { idleMs = RENDER_IDLE_MS, graphqlSettleMs = RENDER_GRAPHQL_SETTLE_MS } = {}) {
+  let startedAt = Date.now();
+  let inflight = 0;
+  let lastActivity = startedAt;
+  let graphqlAt = null;
+
+  const onRequest = () => { inflight++; lastActivity = Date.now(); };
+  const onDone = () => { inflight = Math.max(0, inflight - 1); lastActivity = Date.now(); };
+  const onResponse = (response) => {
+    try {
+      if (graphqlAt === null && isAdLibrarySearchRequest(response.request())) graphqlAt = Date.now();
+    } catch (e) { /* ignore */ }
+  };
+  page.on("request", onRequest);
+  page.on("requestfinished", onDone);
+  page.on("requestfailed", onDone);
+  page.on("response", onResponse);
+
+  return {
+    /** Espera o primeiro sinal (ou maxWaitMs). Nunca lança. */
+    async wait({ maxWaitMs }) {
+      const waitStart = Date.now();
+      const done = (signal) => ({ signal, waitMs: Date.now() - waitStart, renderMs: Date.now() - startedAt });
+      for (;;) {
+        if (page.isClosed()) return done(RENDER_SIGNALS.TIMEOUT);
+        const text = await page.locator(COUNT_HEADING_SELECTOR).first().textContent({ timeout: RENDER_POLL_MS }).catch(() => null);
+        if (parseAdCount(text)) return done(RENDER_SIGNALS.HEADING);
+        const now = Date.now();
+        if (graphqlAt !== null && now - graphqlAt >= graphqlSettleMs) return done(RENDER_SIGNALS.GRAPHQL);
+        if (inflight === 0 && now - lastActivity >= idleMs) return done(RENDER_SIGNALS.NETWORK_IDLE);
+        if (now - waitStart >= maxWaitMs) return done(RENDER_SIGNALS.TIMEOUT);
+        if (text !== null) await sleep(RENDER_POLL_MS); // heading existe mas ainda sem contador
+      }
+    },
+
+    /** Zera os sinais para uma nova navegação (reload/goto) na mesma página */
+    restart() {
+      startedAt = Date.now();
+      lastActivity = startedAt;
+      graphqlAt = null;
+    },
+
+    stop() {
+      page.off("request", onRequest);
+      page.off("requestfinished", onDone);
+      page.off("requestfailed", onDone);
+      page.off("response", onResponse);
+    },
+  };
+}
@@ -0,0 +1,153 @@
+/**
+ * retry-policy.mjs - estados da oferta, transições permitidas e agenda de retentativas
+ *
+ * Única fonte das regras de status_updated/attempts usadas pelo scraper.mjs (todos os modos,
+ * inclusive o passe de NULLs) e pelo scrape.mjs. Antes cada script gravava "erro", "error",
+ * "error_attempt_N" ou "blocked_ip" com regras próprias.
+ *
+ * SQL recomendado (execute no Supabase SQL editor se ainda não executou):
+ *   ALTER TABLE swipe_file_offers ADD COLUMN IF NOT EXISTS next_eligible_at timestamptz;
+ *   ALTER TABLE swipe_file_offers ADD COLUMN IF NOT EXISTS last_failure_reason text;
+ *
+ * Estados (derivados de status_updated):
+ *   pending  status_updated NULL (nunca raspada ou resetada manualmente)
+ *   success  status_updated = "success"
+ *   failed   status_updated = motivo da falha (login_wall, captcha, unknown, exception, invalid_url, ...)
+ *   dead     status_updated = "dead": estacionada após MAX_ATTEMPTS falhas seguidas
+ *
+ * Transições:
+ *   pending/success/failed -> success | failed | dead
+ *   dead                   -> pending (só reset manual: status_updated = NULL, attempts = 0)
+ *
+ * Agenda de next_eligible_at (±10% de jitter, teto RETRY_MAX_MS):
+ *   1ª falha   agora + RETRY_FIRST_DELAY_MS (default 0): o passe de NULLs, que roda logo depois do
+ *              passe principal no scraper.yml, já tenta de novo na mesma execução
+ *   n-ésima    agora + RETRY_BASE_MS * 2^(n-2)
+ * Bloqueios (login_wall, captcha, rate_limited, checkpoint, forbidden, proxy_auth e os legados
+ * blocked/blocked_ip, ou qualquer motivo gravado via blockPatch pelo caminho de bloqueio confirmado) são
+ * problema do nosso IP/proxy, não da oferta: não contam em attempts, nunca levam a "dead" e sempre usam
+ * RETRY_FIRST_DELAY_MS. A fila (claim_offers) só entrega ofertas elegíveis e nunca as "dead".
+ */
+
+import { isBlockingReason } from "./block-classifier.mjs";
+
+export const OFFER_STATES = Object.freeze({
+  PENDING: "pending",
+  SUCCESS: "success",
+  FAILED: "failed",
+  DEAD: "dead",
+});
+
+export const SUCCESS_STATUS = "success";
+export const DEAD_STATUS = "dead";
+export const EXCEPTION_REASON = "exception";
+
+export const MAX_ATTEMPTS = Math.max(1, parseInt(process.env.MAX_ATTEMPTS || process.env.MAX_FAILS || "6", 10));
+export const RETRY_FIRST_DELAY_MS = parseInt(process.env.RETRY_FIRST_DELAY_MS || "0", 10);
+export const RETRY_BASE_MS = parseInt(process.env.RETRY_BASE_MS || String(15 * 60 * 1000), 10);
+export const RETRY_MAX_MS = parseInt(process.env.RETRY_MAX_MS || String(24 * 60 * 60 * 1000), 10);
+
+// Retentativas dentro da mesma execução (reload da página antes de desistir)
+export const RETRY_ATTEMPTS = Math.max(0, parseInt(process.env.RETRY_ATTEMPTS || "1", 10));
+const IN_RUN_RETRY_BASE_MS = 1500;
+
+const LEGACY_BLOCK_REASONS = ["blocked", "blocked_ip"];
+
+const TRANSITIONS = {
+  [OFFER_STATES.PENDING]: [OFFER_STATES.SUCCESS, OFFER_STATES.FAILED, OFFER_STATES.DEAD],
+  [OFFER_STATES.SUCCESS]: [OFFER_STATES.SUCCESS, OFFER_STATES.FAILED, OFFER_STATES.DEAD],
+  [OFFER_STATES.FAILED]: [OFFER_STATES.SUCCESS, OFFER_STATES.FAILED, OFFER_STATES.DEAD],
+  [OFFER_STATES.DEAD]: [OFFER_STATES.PENDING],
+};
+
+/** Estado a partir do status_updated gravado (valores legados "erro", "blocked_ip"... contam como failed) */
+export function stateOf(status) {
+  if (status === null || status === undefined || status === "") return OFFER_STATES.PENDING;
+  if (status === SUCCESS_STATUS) return OFFER_STATES.SUCCESS;
+  if (status === DEAD_STATUS) return OFFER_STATES.DEAD;
+  return OFFER_STATES.FAILED;
+}
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function assertTransition(offer, to) {
+  const from = stateOf(offer?.status_updated);
+  if (!canTransition(from, to)) {
+    throw new Error(`Transição inválida para oferta ${offer?.id}: ${from} -> ${to}`);
+  }
+}
+
+/** Falha por bloqueio (não conta para MAX_ATTEMPTS) */
+export function isBlockFailure(reason) {
+  return isBlockingReason(reason) || LEGACY_BLOCK_REASONS.includes(reason);
+}
+
+/** Espera até a próxima tentativa depois de `attempts` falhas seguidas */
+export function backoffMs(attempts) {
+  const exp = attempts <= 1 ? RETRY_FIRST_DELAY_MS : RETRY_BASE_MS * 2 ** (attempts - 2);
+  const capped = Math.min(RETRY_MAX_MS, exp);
+  return Math.round(capped * (0.9 + Math.random() * 0.2));
+}
+
+/** Espera antes da retentativa `n` (1..RETRY_ATTEMPTS) dentro da mesma execução */
+export function inRunRetryDelayMs(n) {
+  return IN_RUN_RETRY_BASE_MS * 2 ** Math.max(0, n - 1) + Math.floor(Math.random() * 500);
+}
+
+/** A oferta pode ser processada agora? */
+export function isEligible(offer, now = Date.now()) {
+  if (stateOf(offer?.status_updated) === OFFER_STATES.DEAD) return false;
+  if (!offer?.next_eligible_at) return true;
+  return Date.parse(offer.next_eligible_at) <= now;
+}
+
+/** Patch de DB para uma extração bem-sucedida */
+export function successPatch(offer) {
+  assertTransition(offer, OFFER_STATES.SUCCESS);
+  return { status_updated: SUCCESS_STATUS, attempts: 0, next_eligible_at: null, last_failure_reason: null };
+}
+
+/**
+ * Patch de DB para uma falha com motivo `reason`: incrementa attempts e agenda a próxima
+ * tentativa, ou estaciona como "dead" ao atingir MAX_ATTEMPTS. Bloqueio não incrementa attempts.
+ */
+export function failurePatch(offer, reason, now = Date.now()) {
+  if (isBlockFailure(reason)) return blockPatch(offer, reason, now);
+  const attempts = Number(offer?.attempts ?? 0) + 1;
+  if (attempts >= MAX_ATTEMPTS) {
+    assertTransition(offer, OFFER_STATES.DEAD);
+    return { status_updated: DEAD_STATUS, attempts, next_eligible_at: null, last_failure_reason: reason };
+  }
+  assertTransition(offer, OFFER_STATES.FAILED);
+  return {
+    status_updated: reason,
+    attempts,
+    next_eligible_at: new Date(now + backoffMs(attempts)).toISOString(),
+    last_failure_reason: reason,
+  };
+}
+
+/**
+ * Patch de DB para um bloqueio confirmado (qualquer motivo, inclusive "unknown" vindo do caminho de
+ * bloqueio do scraper): mantém attempts e agenda a próxima tentativa com RETRY_FIRST_DELAY_MS.
+ */
+export function blockPatch(offer, reason, now = Date.now()) {
+  assertTransition(offer, OFFER_STATES.FAILED);
+  return {
+    status_updated: reason,
+    attempts: Number(offer?.attempts ?? 0),
+    next_eligible_at: new Date(now + backoffMs(1)).toISOString(),
+    last_failure_reason: reason,
+  };
+}
+
+/**
+ * Patch de DB para URL rejeitada no pre-flight (ad-library-url.mjs): não conta como tentativa nem
+ * agenda backoff, porque só muda quando alguém corrigir o adLibraryUrl.
+ */
+export function invalidUrlPatch(offer, reason) {
+  assertTransition(offer, OFFER_STATES.FAILED);
+  return { status_updated: reason, next_eligible_at: null, last_failure_reason: reason };
+}
@@ -0,0 +1,152 @@
+/**
+ * run-metrics.mjs - métricas por worker e relatório JSON no fim da execução
+ *
+ * Cada worker (scraper.mjs, um por SELECTION_MODE) acumula contadores durante a execução e
+ * grava RUN_REPORT_DIR/<script>[-<mode>]-<WORKER_INDEX>-<pid>.json ao terminar. O aggregate-run-reports.mjs
+ * junta os relatórios dos workers num resumo único da execução.
+ *
+ * Campos do relatório:
+ *   attempted         ofertas tentadas
+ *   successes         ofertas com contador extraído
+ *   errorsByReason    falhas por motivo (login_wall, captcha, unknown, exception, ...)
+ *   confirmedBlocks   bloqueios confirmados (também contados em errorsByReason)
+ *   retriesUsed       retentativas (reload / context alternativo) feitas na execução
+ *   latencyMs         { p50, p95, samples }: tempo total por oferta; as amostras brutas vão no
+ *                     relatório para o agregador recalcular os percentis da execução inteira
+ *   contextRecycles   contexts recriados (PROCESS_PER_CONTEXT ou proxy no banco)
+ *   tempContexts      contexts temporários usados (NEW_CONTEXT_PROB)
+ *   concurrency       { initial, min, max, final, changes }: limite do pool adaptativo (adaptive-pool.mjs)
+ *   renderMs          { p50, p95, samples }: navegação + render até o primeiro sinal (render-wait.mjs)
+ *   renderSignals     quantas páginas terminaram a espera por sinal (heading, graphql, network_idle, timeout)
+ *   extractMethods    sucessos por método de extração: network (network-count.mjs) ou dom (extract.mjs)
+ */
+
+import fs from "fs";
+import path from "path";
+
+export const RUN_REPORT_DIR = process.env.RUN_REPORT_DIR || "./run-reports";
+
+/** Percentil p (0..100) pelo método nearest-rank; null sem amostras */
+export function percentile(samples, p) {
+  if (!samples || samples.length === 0) return null;
+  const sorted = samples.slice().sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+export function createRunMetrics({ script, mode = null, workerIndex = 0, workerId = null } = {}) {
+  const startedAt = new Date();
+  const counters = {
+    attempted: 0,
+    successes: 0,
+    confirmedBlocks: 0,
+    retriesUsed: 0,
+    contextRecycles: 0,
+    tempContexts: 0,
+  };
+  const errorsByReason = {};
+  const latencies = [];
+  const concurrency = { initial: null, min: null, max: null, final: null, changes: 0 };
+  const renders = [];
+  const renderSignals = {};
+  const extractMethods = {};
+
+  return {
+    attempt() { counters.attempted++; },
+    success() { counters.successes++; },
+    failure(reason) { errorsByReason[reason] = (errorsByReason[reason] || 0) + 1; },
+    confirmedBlock() { counters.confirmedBlocks++; },
+    retry() { counters.retriesUsed++; },
+    contextRecycle() { counters.contextRecycles++; },
+    tempContext() { counters.tempContexts++; },
+    latency(ms) { latencies.push(Math.round(ms)); },
+    render(ms, signal) {
+      renders.push(Math.round(ms));
+      renderSignals[signal] = (renderSignals[signal] || 0) + 1;
+    },
+    extractMethod(method) {
+      if (method) extractMethods[method] = (extractMethods[method] || 0) + 1;
+    },
+    concurrency(limit) {
+      if (concurrency.initial === null) concurrency.initial = limit;
+      else concurrency.changes++;
+      concurrency.min = concurrency.min === null ? limit : Math.min(concurrency.min, limit);
+      concurrency.max = concurrency.max === null ? limit : Math.max(concurrency.max, limit);
+      concurrency.final = limit;
+    },
+
+    toReport(finishedAt = new Date()) {
+      return {
+        script,
+        mode,
+        workerIndex,
+        workerId,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        ...counters,
+        failures: Object.values(errorsByReason).reduce((sum, n) => sum + n, 0),
+        errorsByReason: { ...errorsByReason },
+        successRate: counters.attempted ? counters.successes / counters.attempted : null,
+        latencyMs: { p50: percentile(latencies, 50), p95: percentile(latencies, 95), samples: latencies.slice() },
+        concurrency: { ...concurrency },
+        renderMs: { p50: percentile(renders, 50), p95: percentile(renders, 95), samples: renders.slice() },
+        renderSignals: { ...renderSignals },
+        extractMethods: { ...extractMethods },
+      };
+    },
+
+    /** Grava o relatório em RUN_REPORT_DIR. Retorna o caminho do arquivo. */
+    async write(dir = RUN_REPORT_DIR) {
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, `${script}${mode ? `-${mode}` : ""}-${workerIndex}-${process.pid}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(this.toReport(), null, 2) + "\n", "utf8");
+      return file;
+    },
+  };
+}
+
+function sumInto(target, source) {
+  for (const [k, v] of Object.entries(source || {})) target[k] = (target[k] || 0) + v;
+  return target;
+}
+
+/** Junta relatórios de workers num resumo (contadores somados, percentis recalculados das amostras) */
+export function mergeReports(reports) {
+  const summary = {
+    workers: reports.length,
+    startedAt: null,
+    finishedAt: null,
+    attempted: 0,
+    successes: 0,
+    failures: 0,
+    confirmedBlocks: 0,
+    retriesUsed: 0,
+    contextRecycles: 0,
+    tempContexts: 0,
+    concurrencyChanges: 0,
+    errorsByReason: {},
+    renderSignals: {},
+    extractMethods: {},
+  };
+  const samples = [];
+  const renderSamples = [];
+  for (const r of reports) {
+    for (const k of ["attempted", "successes", "failures", "confirmedBlocks", "retriesUsed", "contextRecycles", "tempContexts"]) {
+      summary[k] += r[k] || 0;
+    }
+    summary.concurrencyChanges += r.concurrency?.changes || 0;
+    sumInto(summary.errorsByReason, r.errorsByReason);
+    sumInto(summary.renderSignals, r.renderSignals);
+    sumInto(summary.extractMethods, r.extractMethods);
+    renderSamples.push(...(r.renderMs?.samples || []));
+    samples.push(...(r.latencyMs?.samples || []));
+    if (r.startedAt && (!summary.startedAt || r.startedAt < summary.startedAt)) summary.startedAt = r.startedAt;
+    if (r.finishedAt && (!summary.finishedAt || r.finishedAt > summary.finishedAt)) summary.finishedAt = r.finishedAt;
+  }
+  summary.successRate = summary.attempted ? summary.successes / summary.attempted : null;
+  summary.blockRate = summary.attempted ? summary.confirmedBlocks / summary.attempted : null;
+  summary.latencyMs = { p50: percentile(samples, 50), p95: percentile(samples, 95), count: samples.length };
+  summary.renderMs = { p50: percentile(renderSamples, 50), p95: percentile(renderSamples, 95), count: renderSamples.length };
+  return summary;
+}
@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+/**
+ * scrape.mjs - CLI para raspar uma oferta ou URL avulsa com o mesmo código do scraper.mjs
+ *
+ * USO:
+ *   node scrape.mjs --id 123                 # lê a oferta do DB, extrai e grava o resultado
+ *   node scrape.mjs --url "<adLibraryUrl>"   # URL avulsa (nunca grava no DB)
+ *   node scrape.mjs --id 123 --dry-run       # não grava nada
+ *   node scrape.mjs --url "..." --headed     # abre o navegador visível
+ *   node scrape.mjs --id 123 --save-html     # salva o HTML em DEBUG_DIR (ou --save-html arquivo.html)
+ *   node scrape.mjs --id 123 --json          # imprime o resultado em JSON
+ *   node scrape.mjs --url "..." --profile android-pixel7-ptbr   # força um perfil de fingerprint-profiles.mjs
+ *   (ou npm run scrape -- --id 123)
+ *
+ * Usa createContext (browser-context.mjs, com PROXY_FILE / PROXY_LIST e FINGERPRINT_PROFILES_FILE se configurados),
+ * attemptExtractFromPage (extract.mjs) e classifyPage (block-classifier.mjs). Com --id, a gravação
+ * segue as regras da retry-policy.mjs (sucesso zera attempts, falha incrementa).
+ * Espera de render por sinais (render-wait.mjs), com WAIT_TIME como teto; o contador vem primeiro da
+ * resposta de busca interceptada (network-count.mjs) e o resultado mostra o método (network | dom).
+ * Com SESSION_STORE=true usa a sessão salva do perfil + proxy (session-store.mjs): grava de volta no
+ * sucesso e apaga se a página vier bloqueada.
+ * Env: WAIT_TIME, NAV_TIMEOUT, SELECTOR_TIMEOUT, DEBUG_DIR, STORAGE_BACKEND, SESSION_STORE.
+ */
+
+import fs from "fs";
+import path from "path";
+import { chromium } from "playwright";
+import { getOfferRepository } from "./offer-repository.mjs";
+import { createContext } from "./browser-context.mjs";
+import { attemptExtractFromPage } from "./extract.mjs";
+import { BLOCK_REASONS, emptyResultsCount, inspectPage } from "./block-classifier.mjs";
+import { createProxyPool, loadProxiesFromEnv } from "./proxy-pool.mjs";
+import { checkAdLibraryUrl } from "./ad-library-url.mjs";
+import { advertiserPatch, extractAdvertiser } from "./advertiser.mjs";
+import { OFFER_STATES, failurePatch, stateOf, successPatch } from "./retry-policy.mjs";
+import { recordSnapshot } from "./history.mjs";
+import { watchRender } from "./render-wait.mjs";
+import { watchNetworkCount } from "./network-count.mjs";
+import { createSessionStoreFromEnv } from "./session-store.mjs";
+
+const WAIT_TIME = parseInt(process.env.WAIT_TIME || "4000", 10);
+const NAV_TIMEOUT = parseInt(process.env.NAV_TIMEOUT || "60000", 10);
+const SELECTOR_TIMEOUT = parseInt(process.env.SELECTOR_TIMEOUT || "10000", 10);
+const DEBUG_DIR = process.env.DEBUG_DIR || "./debug";
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) args[a.slice(2)] = true;
+    else { args[a.slice(2)] = next; i++; }
+  }
+  return args;
+}
+
+function usage(message) {
+  if (message) console.error(`❌ ${message}`);
+  console.error("Uso: node scrape.mjs (--id <id> | --url <adLibraryUrl>) [--dry-run] [--headed] [--save-html [arquivo]] [--json] [--profile <id>]");
+  process.exit(1);
+}
+
+async function loadOffer(args, repo) {
+  if (args.id && args.id !== true) {
+    const id = /^\d+$/.test(args.id) ? Number(args.id) : args.id;
+    const { data, error } = await repo.getOffer(id);
+    if (error) throw new Error(`Erro ao buscar oferta ${id}: ${error.message}`);
+    if (!data) throw new Error(`Oferta ${id} não encontrada`);
+    return data;
+  }
+  if (args.url && args.url !== true) return { id: null, adLibraryUrl: args.url };
+  return null;
+}
+
+async function saveHtml(html, offer, target) {
+  const file = target && target !== true
+    ? target
+    : path.join(DEBUG_DIR, `cli-${offer.id ?? "url"}-${new Date().toISOString().replace(/[:.]/g, "-")}.html`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, html, "utf8");
+  return file;
+}
+
+/**
+ * Grava o resultado seguindo a retry-policy. Retorna { error, skipped }: oferta "dead" não é
+ * gravada (a única transição a partir de dead é o reset manual para pending).
+ */
+async function writeResult(repo, offer, output) {
+  if (stateOf(offer.status_updated) === OFFER_STATES.DEAD) {
+    return { error: null, skipped: `oferta está "dead" (attempts=${offer.attempts ?? "?"}); para voltar à fila: status_updated = NULL, attempts = 0` };
+  }
+  try {
+    return { error: await writeResultRow(repo, offer, output), skipped: null };
+  } catch (e) {
+    return { error: e, skipped: null };
+  }
+}
+
+async function writeResultRow(repo, offer, output) {
+  const updated_at = new Date().toISOString();
+  if (output.result.found) {
+    const patch = { activeAds: output.result.count, updated_at, ...successPatch(offer), ...advertiserPatch(offer, output.advertiser) };
+    const { error } = await repo.updateOffer(offer.id, patch);
+    if (error) return error;
+    const { error: histErr } = await recordSnapshot({ offerId: offer.id, activeAds: output.result.count, rawText: output.result.raw ?? null, approximate: output.result.approximate ?? null, method: output.result.method ?? null, workerId: "cli", scrapedAt: updated_at });
+    return histErr;
+  }
+  const reason = output.classification.reason || BLOCK_REASONS.UNKNOWN;
+  const { error } = await repo.updateOffer(offer.id, { activeAds: null, updated_at, ...failurePatch(offer, reason) });
+  return error;
+}
+
+function printPretty(output) {
+  const { offer, url, check, result, classification, timings } = output;
+  console.log(`🔗 ${offer.id !== null ? `[${offer.id}] ` : ""}${url}`);
+  if (check.fixes.length) console.log(`🔧 URL normalizada: ${check.fixes.join(", ")}`);
+  if (result.found) {
+    console.log(`✅ activeAds=${result.count}${result.approximate ? " (aproximado)" : ""} via ${result.method}/${result.selector} — texto: ${JSON.stringify(result.raw ?? null)}`);
+  } else {
+    console.log("❌ contador não encontrado");
+  }
+  console.log(`🧭 classificação: ${classification.reason ?? "ok"} (blocked=${classification.blocked}${classification.signals.length ? `, sinais=${classification.signals.join("|")}` : ""}) status=${output.status ?? "n/a"}`);
+  if (output.advertiser?.name) console.log(`🏷️ anunciante: ${output.advertiser.name} (page id ${output.advertiser.pageId ?? "?"})`);
+  console.log(`⏱️ navegação ${timings.navigateMs}ms, render ${timings.renderWaitMs}ms (${output.render?.signal ?? "?"}), extração ${timings.extractMs}ms, classificação ${timings.classifyMs}ms, total ${timings.totalMs}ms`);
+  if (output.proxyId) console.log(`🌐 proxy: ${output.proxyId}`);
+  console.log(`🧬 perfil: ${output.profileId}${output.session ? ` (sessão ${output.session})` : ""}`);
+  if (output.htmlPath) console.log(`💾 HTML salvo em ${output.htmlPath}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.id && !args.url) usage("Informe --id ou --url");
+  if (args.id && args.url) usage("Use --id ou --url, não os dois");
+
+  const repo = getOfferRepository();
+  const offer = await loadOffer(args, repo);
+  if (!offer) usage();
+
+  const check = checkAdLibraryUrl(offer.adLibraryUrl);
+  if (!check.ok) {
+    console.error(`🚫 adLibraryUrl inválida (${check.problems.join(", ")}): ${offer.adLibraryUrl ?? "(vazio)"}`);
+    process.exit(2);
+  }
+
+  const browser = await chromium.launch({ headless: !args.headed, args: ["--no-sandbox", "--disable-setuid-sandbox"] });
+  const profileId = args.profile && args.profile !== true ? String(args.profile) : null;
+  const sessionStore = createSessionStoreFromEnv();
+  const context = await createContext(browser, { proxyPool: createProxyPool(loadProxiesFromEnv()), profileId, sessionStore });
+  const page = await context.newPage();
+  const output = { offer: { id: offer.id, offerName: offer.offerName ?? null }, url: check.url, check, proxyId: context.__proxyId, profileId: context.__profileId, session: context.__sessionKey ? (context.__sessionReused ? "reused" : "new") : null };
+
+  try {
+    const t0 = Date.now();
+    const render = watchRender(page);
+    const network = watchNetworkCount(page);
+    let response = null;
+    try {
+      response = await page.goto(check.url, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT });
+    } catch (e) {
+      output.navigationError = String(e?.message || e);
+    }
+    const t1 = Date.now();
+    output.render = await render.wait({ maxWaitMs: WAIT_TIME });
+    const t2 = Date.now();
+    output.result = await attemptExtractFromPage(page, offer, { selectorTimeout: SELECTOR_TIMEOUT, network });
+    const t3 = Date.now();
+    const { html, classification } = await inspectPage(page, response);
+    const t4 = Date.now();
+    // Mesma regra do scraper: "nenhum anúncio corresponde" sem contador grava 0 como sucesso
+    if (!output.result.found) output.result = emptyResultsCount(classification) ?? output.result;
+    output.status = response ? response.status() : null;
+    output.classification = classification;
+    output.advertiser = await extractAdvertiser(page, { adLibraryUrl: check.url });
+    output.timings = { navigateMs: t1 - t0, renderWaitMs: t2 - t1, extractMs: t3 - t2, classifyMs: t4 - t3, totalMs: Date.now() - t0 };
+    if (args["save-html"] && html) output.htmlPath = await saveHtml(html, offer, args["save-html"]);
+    if (sessionStore && classification.blocked) sessionStore.invalidate(context);
+    else if (sessionStore && output.result.found) await sessionStore.save(context);
+  } finally {
+    await context.close().catch(() => {});
+    await browser.close().catch(() => {});
+  }
+
+  // O resultado da extração sai antes da gravação: um erro no DB não esconde o diagnóstico
+  if (!args.json) printPretty(output);
+
+  output.written = false;
+  if (offer.id !== null && !args["dry-run"]) {
+    const { error, skipped } = await writeResult(repo, offer, output);
+    output.written = !error && !skipped;
+    if (skipped) {
+      output.writeSkipped = skipped;
+      console.error(`⚠️ Resultado não gravado: ${skipped}`);
+    }
+    if (error) console.error(`⚠️ Erro ao gravar resultado: ${error.message}`);
+  }
+
+  if (args.json) console.log(JSON.stringify(output, null, 2));
+  else if (output.written) console.log("💾 resultado gravado no DB");
+  else if (offer.id === null || args["dry-run"]) console.log("📝 nada gravado no DB (--dry-run ou --url)");
+  process.exit(output.result.found ? 0 : 3);
+}
+
+main().catch((e) => {
+  console.error("Erro fatal:", e?.message || e);
+  process.exit(1);
+});
@@ -5,96 +5,147 @@
  *
  * SQL recomendado (execute no Supabase SQL editor se ainda não executou):
  *   ALTER TABLE swipe_file_offers ADD COLUMN IF NOT EXISTS attempts integer DEFAULT 0;
+ *   ALTER TABLE swipe_file_offers ADD COLUMN IF NOT EXISTS last_proxy_id text;
+ *   (+ tabela swipe_file_offer_history, ver history.mjs)
  *
  * Principais características:
- * - selector-first (heading role=3) + fallback evaluate (cópia da extensão)
+ * - selector-first (heading role=3) + frames + fallback evaluate (cópia da extensão) + h3 + texto
+ *   visível do HTML (extract.mjs)
+ * - Fila com lease no DB (claim_offers, ver offer-repository.mjs): lotes de PARALLEL ofertas,
+ *   mais velhas/prioritárias primeiro; leases de workers que caíram voltam para a fila (LEASE_MS)
+ * - Pool com concorrência adaptativa (adaptive-pool.mjs): sempre `limit` páginas em voo; o limite cai
+ *   pela metade quando block/timeout sobem e volta a crescer de 1 em 1 com sucessos
+ *   (PARALLEL inicial, entre PARALLEL_MIN e PARALLEL_MAX)
+ * - Modos de seleção (SELECTION_MODE), todos pela mesma fila e mesmo código de extração/gravação:
+ *     stale  (default) ofertas sem update há mais de STALE_AFTER_HOURS antes de RUN_STARTED_AT
+ *     all    todas as elegíveis ainda não gravadas nesta execução
+ *     nulls  só activeAds NULL (o passe de reprocessamento do workflow diário, antigo test_scraper_manual.mjs)
+ *     failed só ofertas em estado failed (status_updated = motivo de falha, ver retry-policy.mjs)
+ *   "Nesta execução" = updated_at anterior a RUN_STARTED_AT. No CI ele é fixado uma vez por passe e
+ *   passado a todos os workers (scraper.yml), senão um worker que subiu tarde reservaria de novo o que
+ *   outro já gravou; rodando local, o default é o início do processo
  * - Pool de contexts para performance (CONTEXT_POOL_SIZE)
+ * - Proxies opcionais por context (PROXY_FILE / PROXY_LIST, ver proxy-pool.mjs) com score e banco automático
+ * - Perfis de fingerprint coerentes por context (fingerprint-profiles.mjs, FINGERPRINT_STICKY para um perfil
+ *   fixo por proxy); perfis com muito bloqueio são aposentados durante a execução
+ * - Sessões persistidas opcionais (SESSION_STORE=true, session-store.mjs): cookies/localStorage por perfil + proxy,
+ *   aquecimento em sessão nova, invalidação em bloqueio confirmado
  * - Randomização de contexto por página + criação temporária ocasional
  * - Reciclagem de contexts após PROCESS_PER_CONTEXT páginas processadas
  * - Detecção de bloqueios SÓ se ocorrerem em ambas tentativas (reduz falsos-positivos)
- * - 1 retry de extração (configurável via RETRY_ATTEMPTS; default 1)
- * - Mais tempo para carregamento: WAIT_TIME default 4000ms, SELECTOR_TIMEOUT 10000ms, NAV_TIMEOUT 60000ms
- * - Se extração falhar após retry: marca status_updated = "erro" (X vermelho na UI) e incrementa attempts
- * - DEBUG mode salva HTML apenas quando DEBUG=true (sem screenshots)
+ * - 1 retry de extração (configurável via RETRY_ATTEMPTS; default 1), com backoff exponencial
+ * - Espera de render por sinais (render-wait.mjs): heading com contador, resposta GraphQL da Ad Library
+ *   ou rede ociosa; WAIT_TIME (default 4000ms) virou só o teto. SELECTOR_TIMEOUT 10000ms, NAV_TIMEOUT 60000ms.
+ *   O tempo de render de cada página vai para o log (render_ms) e para o relatório (renderMs, renderSignals)
+ * - Contador lido primeiro da resposta de busca interceptada (network-count.mjs), DOM como fallback;
+ *   o método vai para o log (method), para o histórico (extract_method) e para o relatório (extractMethods)
+ * - Página "nenhum anúncio corresponde" sem contador (empty_results) grava activeAds = 0 como sucesso
+ * - Se extração falhar após retry: marca status_updated com o motivo classificado (block-classifier.mjs:
+ *   login_wall, captcha, rate_limited, checkpoint, forbidden, proxy_auth ou unknown) e agenda next_eligible_at
+ *   (1ª falha já elegível para o passe de NULLs); falhas que não são bloqueio incrementam attempts e
+ *   após MAX_ATTEMPTS a oferta vira "dead" (regras em retry-policy.mjs)
+ * - DEBUG mode salva HTML apenas quando DEBUG=true (sem screenshots); promover para fixture com
+ *   node test_extraction_fixtures.mjs --promote <arquivo.html> --name <caso> --count <N|null>
+ * - Cada extração bem-sucedida também grava um snapshot em swipe_file_offer_history
+ * - Relatório JSON por worker em RUN_REPORT_DIR (ver run-metrics.mjs / aggregate-run-reports.mjs)
+ * - Pre-flight das URLs (ad-library-url.mjs): navega sempre pela forma canônica; URL sem page id,
+ *   busca por palavra-chave, domínio estranho etc. vira status_updated = "invalid_url" sem abrir página
+ *   (auditoria de todas as URLs: node audit-urls.mjs)
+ * - Metadados do anunciante (nome, page id, categoria, curtidas) gravados na oferta; nome diferente
+ *   do da execução anterior marca advertiser_name_changed (advertiser.mjs)
+ * - COUNTRIES=BR,US,PT,ALL: após o sucesso, conta também cada país (URL reescrita) e grava o breakdown
+ *   em active_ads_by_country (country-counts.mjs); exportado no eagle_offers_data.json
+ * - DEEP_EXTRACT=true: também coleta os cards de anúncio (library id, início, plataformas, texto,
+ *   link de destino) até DEEP_EXTRACT_LIMIT, rolando a página (ad-cards.mjs, tabela swipe_file_offer_ads)
+ * - Logs estruturados (LOG_FORMAT=json) com run_id/worker_id/offer_id/phase, ver logger.mjs
+ * - Leitura/escrita de ofertas via offer-repository.mjs (STORAGE_BACKEND=supabase|json)
  *
  * USO SUGERIDO PARA DEBUG:
- * WORKER_INDEX=0 TOTAL_WORKERS=1 PARALLEL=1 PROCESS_LIMIT=5 DEBUG=true node scraper.mjs
+ * node scrape.mjs --id 123 --dry-run --headed --save-html   (uma oferta só, mesmo código de extração)
+ * PARALLEL=1 PROCESS_LIMIT=5 DEBUG=true node scraper.mjs
+ * SELECTION_MODE=nulls PARALLEL=3 WAIT_TIME=7000 node scraper.mjs
+ * Sem Supabase (arquivo local):
+ * STORAGE_BACKEND=json LOCAL_DB_PATH=./local-db.json PROCESS_LIMIT=5 node scraper.mjs
  *
  * Nota: Esta versão garante que:
  *  - após esgotados os retries desta execução, activeAds = null é gravado;
- *  - quando confirmar blocked_ip, também grava activeAds = null;
- *  - quando uma oferta vier do DB com status_updated === null, marcamos activeAds = null imediatamente.
+ *  - quando confirmar bloqueio (status_updated = motivo), também grava activeAds = null;
+ *  - exceções inesperadas seguem a mesma regra (motivo "exception").
  */
 
 import fs from "fs";
 import path from "path";
 import os from "os";
-import { chromium, devices } from "playwright";
-import { supabase } from "./supabase.js";
-
-const TOTAL_WORKERS = parseInt(process.env.TOTAL_WORKERS || "50", 10);
-const WORKER_INDEX = parseInt(process.env.WORKER_INDEX ?? "0", 10);
+import { chromium } from "playwright";
+import { getOfferRepository } from "./offer-repository.mjs";
+import { createContext } from "./browser-context.mjs";
+import { recordSnapshot } from "./history.mjs";
+import { attemptExtractFromPage } from "./extract.mjs";
+import { BLOCK_REASONS, emptyResultsCount, inspectPage } from "./block-classifier.mjs";
+import { PROXY_OUTCOMES, createProxyPool, loadProxiesFromEnv } from "./proxy-pool.mjs";
+import { createProfilePool, loadProfilesFromEnv } from "./fingerprint-profiles.mjs";
+import { createSessionStoreFromEnv } from "./session-store.mjs";
+import { EXCEPTION_REASON, RETRY_ATTEMPTS, blockPatch, failurePatch, inRunRetryDelayMs, invalidUrlPatch, successPatch } from "./retry-policy.mjs";
+import { INVALID_URL_REASON, preflightOffers } from "./ad-library-url.mjs";
+import { collectCountryCounts, parseCountries } from "./country-counts.mjs";
+import { createRunMetrics } from "./run-metrics.mjs";
+import { daysRunning, extractAdCards, recordAdCards } from "./ad-cards.mjs";
+import { advertiserPatch, extractAdvertiser } from "./advertiser.mjs";
+import { LOG_PHASES, createLogger } from "./logger.mjs";
+import { POOL_OUTCOMES, createAimdController, runAdaptivePool } from "./adaptive-pool.mjs";
+import { watchRender } from "./render-wait.mjs";
+import { watchNetworkCount } from "./network-count.mjs";
+
+const WORKER_INDEX = parseInt(process.env.WORKER_INDEX ?? "0", 10); // só para stagger/log: a divisão do trabalho vem da fila
 const PROCESS_LIMIT = process.env.PROCESS_LIMIT ? parseInt(process.env.PROCESS_LIMIT, 10) : null;
-
-const PARALLEL = Math.max(1, parseInt(process.env.PARALLEL || "5", 10));
+const LEASE_MS = parseInt(process.env.LEASE_MS || String(10 * 60 * 1000), 10); // lease de cada lote reservado
+const STALE_AFTER_HOURS = parseFloat(process.env.STALE_AFTER_HOURS || "6"); // modo stale: só reserva ofertas sem update há mais que isso
+const SELECTION_MODES = ["stale", "all", "nulls", "failed"];
+const SELECTION_MODE = String(process.env.SELECTION_MODE || "stale").trim().toLowerCase();
+const RUN_STARTED_AT = process.env.RUN_STARTED_AT || new Date().toISOString();
+
+const PARALLEL = Math.max(1, parseInt(process.env.PARALLEL || "5", 10)); // concorrência inicial e tamanho do claim
+const PARALLEL_MIN = Math.max(1, parseInt(process.env.PARALLEL_MIN || "1", 10));
+const PARALLEL_MAX = Math.max(PARALLEL, parseInt(process.env.PARALLEL_MAX || String(PARALLEL * 2), 10));
+const PARALLEL_BAD_RATE = parseFloat(process.env.PARALLEL_BAD_RATE || "0.3"); // fração de block+timeout que reduz a concorrência
+const PARALLEL_WINDOW = Math.max(1, parseInt(process.env.PARALLEL_WINDOW || "10", 10));
 const CONTEXT_POOL_SIZE = Math.max(1, parseInt(process.env.CONTEXT_POOL_SIZE || String(PARALLEL), 10));
 const PROCESS_PER_CONTEXT = Math.max(5, parseInt(process.env.PROCESS_PER_CONTEXT || "20", 10)); // recycle after this many pages
 const NEW_CONTEXT_PROB = parseFloat(process.env.NEW_CONTEXT_PROB || "0.05"); // 5% chance to force new context
+const BLOCK_BACKOFF_AFTER = 30; // bloqueios confirmados seguidos (sem pool de proxies) até o backoff do worker
+const BLOCK_BACKOFF_MS = 5 * 60 * 1000;
 
-const WAIT_TIME = parseInt(process.env.WAIT_TIME || "4000", 10); // increased per request
+const WAIT_TIME = parseInt(process.env.WAIT_TIME || "4000", 10); // teto da espera de render (render-wait.mjs)
 const NAV_TIMEOUT = parseInt(process.env.NAV_TIMEOUT || "60000", 10);
 const SELECTOR_TIMEOUT = parseInt(process.env.SELECTOR_TIMEOUT || "10000", 10);
-const RETRY_ATTEMPTS = 0; // requested =1
 
-const DEBUG = String(process.env.DEBUG || "false").toLowerCase() === "true";
-const LOG_LEVEL = (process.env.LOG_LEVEL || "info").toLowerCase(); // info|warn|error|silent
+// Extração profunda dos cards de anúncio (ad-cards.mjs): desligada por padrão, custa scroll + tempo por oferta
+const DEEP_EXTRACT = String(process.env.DEEP_EXTRACT || "false").toLowerCase() === "true";
+const DEEP_EXTRACT_LIMIT = Math.max(1, parseInt(process.env.DEEP_EXTRACT_LIMIT || "30", 10));
+const DEEP_EXTRACT_MAX_SCROLLS = Math.max(0, parseInt(process.env.DEEP_EXTRACT_MAX_SCROLLS || "10", 10));
 
-const MAX_FAILS = parseInt(process.env.MAX_FAILS || "3", 10);
+// Contagem por país (country-counts.mjs), ex.: COUNTRIES=BR,US,PT,ALL. Vazio = só o country da URL.
+const COUNTRIES = parseCountries(process.env.COUNTRIES);
+
+const DEBUG = String(process.env.DEBUG || "false").toLowerCase() === "true";
 
 const DEBUG_DIR = process.env.DEBUG_DIR || "./debug";
 const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}-${process.pid}-${Date.now()}`;
 
-const DEVICE_NAMES = [
-  "Desktop Chrome",
-  "iPhone 13 Pro Max",
-  "Pixel 7",
-  "iPad Mini",
-  "Pixel 5",
-  "Galaxy S21 Ultra",
-  "iPhone 12",
-];
-const DEVICE_POOL = DEVICE_NAMES.map((n) => devices[n]).filter(Boolean);
-
-const USER_AGENTS = [
-  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (Macintosh; Intel Mac OS X 14_2_1) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.3 Safari/605.1.15",
-  "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (Windows NT 10.0; rv:122.0) Gecko/20100101 Firefox/122.0",
-  "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1",
-];
+const repo = getOfferRepository();
+const proxyPool = createProxyPool(loadProxiesFromEnv());
+const profilePool = createProfilePool(loadProfilesFromEnv());
+const sessionStore = createSessionStoreFromEnv(); // null sem SESSION_STORE=true
+const metrics = createRunMetrics({ script: "scraper", mode: SELECTION_MODE, workerIndex: WORKER_INDEX, workerId: WORKER_ID });
+const log = createLogger({ script: "scraper", mode: SELECTION_MODE, worker_id: WORKER_ID }); // LOG_FORMAT=json|pretty, LOG_LEVEL (ver logger.mjs)
 
 // Helpers
 function nowIso() { return new Date().toISOString(); }
 function nowTs() { return new Date().toISOString().replace(/[:.]/g, "-"); }
 function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
 function jitter(ms) { return Math.floor(Math.random() * ms); }
-function shuffle(array) {
-  // Fisher-Yates
-  const a = array.slice();
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    const tmp = a[i];
-    a[i] = a[j];
-    a[j] = tmp;
-  }
-  return a;
-}
 function randProb(p) { return Math.random() < p; }
 
-function logInfo(...args) { if (["info"].includes(LOG_LEVEL)) console.log(...args); }
-function logWarn(...args) { if (["info","warn"].includes(LOG_LEVEL)) console.warn(...args); }
-function logError(...args) { if (["info","warn","error"].includes(LOG_LEVEL)) console.error(...args); }
-
 function ensureDebugDir() { if (!DEBUG) return; if (!fs.existsSync(DEBUG_DIR)) fs.mkdirSync(DEBUG_DIR, { recursive: true }); }
 async function saveDebugHtml(htmlContent, offerId, note = "") {
   if (!DEBUG) return null;
@@ -106,457 +157,536 @@ async function saveDebugHtml(htmlContent, offerId, note = "") {
     await fs.promises.writeFile(htmlPath, `<!-- ${note} -->\n` + htmlContent, "utf8");
     return { htmlPath };
   } catch (err) {
-    logWarn("❌ Falha ao salvar debug HTML:", err?.message || err);
+    log.warn("❌ Falha ao salvar debug HTML", { err });
     return null;
   }
 }
 
-/**
- * Parser seguindo lógica da extensão (foco em heading)
- */
-function parseCountFromHeadingText(text) {
-  if (!text || typeof text !== "string") return null;
-  // Try "~1,2k" or similar
-  let m = text.match(/~\s*([0-9.,]+)/);
-  if (!m) {
-    m = text.match(/([\d\.,\s\u00A0\u202F]+)\s*(?:resultados|results)/i);
-  }
-  if (m && m[1]) {
-    const cleaned = m[1].replace(/[.,\s\u00A0\u202F]/g, "");
-    const n = parseInt(cleaned, 10);
-    if (!isNaN(n)) return n;
+/** Filtro do claimOffers para o modo de seleção (null = modo desconhecido) */
+function selectionFilter(mode) {
+  switch (mode) {
+    case "stale": return { updatedBefore: new Date(Date.parse(RUN_STARTED_AT) - STALE_AFTER_HOURS * 60 * 60 * 1000).toISOString() };
+    case "all": return { updatedBefore: RUN_STARTED_AT };
+    case "nulls": return { updatedBefore: RUN_STARTED_AT, onlyNullActiveAds: true };
+    case "failed": return { updatedBefore: RUN_STARTED_AT, onlyFailed: true };
+    default: return null;
   }
-  return null;
 }
 
-/**
- * In-page fallback copied from extension (serializable)
- */
-function injectedGetPageDetailsAndAdCountForEvaluate(offerNameToUse) {
-  const nameElement = document.querySelector('div[role="heading"][aria-level="1"]');
-  const advertiserName = nameElement ? (nameElement.innerText || "").trim() : 'Unknown';
-  let adCount = null;
-  let extractedSuccessfully = false;
-  let rawText = null;
-  const adCountElement = document.querySelector('div[role="heading"][aria-level="3"]');
-  if (adCountElement && adCountElement.innerText) {
-    const textContent = adCountElement.innerText;
-    rawText = textContent;
-    let match = textContent.match(/~\s*([0-9.,]+)/);
-    if (!match) match = textContent.match(/([\d\.,\s\u00A0\u202F]+)\s*(resultados|results)/i);
-    if (match && match[1]) {
-      const numberString = match[1].replace(/[.,\s\u00A0\u202F]/g, '');
-      const parsedCount = parseInt(numberString, 10);
-      if (!isNaN(parsedCount)) { adCount = parsedCount; extractedSuccessfully = true; }
-    }
+/** Fecha o context salvando a sessão antes (se o store estiver ligado) */
+async function closeContext(context) {
+  if (sessionStore) await sessionStore.save(context);
+  try { await context.close(); } catch (e) { /* ignore */ }
+}
+
+/** Abre uma página contada no context (__openPages), para o retireContext saber quando fechá-lo */
+async function openPage(context) {
+  context.__openPages = (context.__openPages || 0) + 1;
+  try {
+    const page = await context.newPage();
+    page.once("close", () => releasePage(context));
+    return page;
+  } catch (e) {
+    releasePage(context);
+    throw e;
   }
-  return { name: advertiserName, results: adCount, offer: offerNameToUse, extractedSuccessfully, rawText };
+}
+
+function releasePage(context) {
+  context.__openPages--;
+  if (context.__retired && context.__openPages === 0) closeContext(context);
 }
 
 /**
- * Heurística para detectar bloqueios (palavras-chave no HTML)
- * NOTE: conservative -> used only to *suggest* blocked; marking blocked requires repeat confirmation.
+ * Tira o context de circulação (não recebe páginas novas) e fecha quando a última página em voo
+ * terminar: outras ofertas do pool podem estar no meio da navegação nele.
  */
-function contentLooksBlocked(html) {
-  if (!html || typeof html !== "string") return false;
-  const lowered = html.toLowerCase();
-  const blockers = [
-    "captcha",
-    "verify",
-    "access to this page has been restricted",
-    "temporarily blocked",
-    "unusual activity",
-    "confirm you're human",
-    "log in to facebook",
-    "sign in to continue",
-    "please enable javascript",
-    "blocked",
-  ];
-  return blockers.some(k => lowered.includes(k));
+function retireContext(context) {
+  if (context.__retired) return;
+  context.__retired = true;
+  if (!context.__openPages) closeContext(context);
 }
 
-/** Create a randomized context (device+UA) */
-async function createContext(browser) {
-  const device = DEVICE_POOL[Math.floor(Math.random() * DEVICE_POOL.length)] || {};
-  const ua = USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
-  const contextOptions = { ...(device || {}), userAgent: ua };
-  const context = await browser.newContext(contextOptions);
-  await context.route("**/*", (route) => {
-    const type = route.request().resourceType();
-    if (["image", "stylesheet", "font", "media"].includes(type)) return route.abort();
-    return route.continue();
-  });
-  context.__pagesProcessed = 0;
-  return context;
+/** Índice aleatório de um context do pool ainda em circulação (-1 se nenhum) */
+function pickContextIndex(contexts, exclude = -1) {
+  const live = contexts.map((c, idx) => idx).filter((idx) => idx !== exclude && !contexts[idx].__retired);
+  return live.length > 0 ? live[Math.floor(Math.random() * live.length)] : -1;
 }
 
-/** Recreate context safely */
+/** Recreate context safely: o antigo sai do pool na hora e fecha depois das páginas em voo */
 async function recreateContext(browser, contexts, idx) {
-  try { await contexts[idx].close(); } catch (e) { /* ignore */ }
-  contexts[idx] = await createContext(browser);
-  logInfo(`🔄 Recreated context idx=${idx}`);
+  const previous = contexts[idx];
+  if (previous.__retired) return; // já está sendo substituído
+  retireContext(previous);
+  contexts[idx] = await createContext(browser, { proxyPool, profilePool, sessionStore });
+  metrics.contextRecycle();
+  log.info("🔄 Recreated context", { context_idx: idx, proxy_id: contexts[idx].__proxyId ?? "direto", profile_id: contexts[idx].__profileId, session: sessionLabel(contexts[idx]) });
+}
+
+function sessionLabel(context) {
+  if (!context.__sessionKey) return "off";
+  if (context.__sessionReused) return "reused";
+  return context.__warmUp?.ok ? "warmed" : "cold";
+}
+
+/**
+ * Registra o resultado no proxy e no perfil de fingerprint do context; se o proxy for para o banco
+ * ou o perfil for aposentado, recicla os contexts que o usam. Bloqueio confirmado também invalida
+ * a sessão salva do context (session-store.mjs) e o recicla, para voltar com uma sessão nova.
+ * Reciclar não derruba páginas de outras ofertas: o context antigo só fecha quando elas terminam.
+ */
+function reportContextOutcome(browser, contexts, context, outcome) {
+  const proxyId = context?.__proxyId;
+  const profileId = context?.__profileId;
+  const recycle = (matches) => contexts.forEach((c, idx) => {
+    if (matches(c)) recreateContext(browser, contexts, idx).catch(e => log.warn("recreateContext failed", { err: e }));
+  });
+  if (outcome === PROXY_OUTCOMES.BLOCK && sessionStore && sessionStore.invalidate(context)) {
+    log.warn("🍪 Sessão invalidada após bloqueio confirmado", { session_key: context.__sessionKey });
+    recycle((c) => c === context);
+  }
+  if (profileId && profilePool.report(profileId, outcome)) {
+    log.warn("🧬 Perfil de fingerprint aposentado (taxa de bloqueio alta)", { profile_id: profileId });
+    recycle((c) => c.__profileId === profileId);
+  }
+  if (proxyId && proxyPool.report(proxyId, outcome)) {
+    log.warn("🪑 Proxy foi para o banco após bloqueios confirmados seguidos", { proxy_id: proxyId });
+    recycle((c) => c.__proxyId === proxyId);
+  }
+}
+
+/** Marca oferta com adLibraryUrl inválida (status invalid_url) sem navegar */
+async function rejectInvalidUrl(offer, check) {
+  metrics.attempt();
+  metrics.failure(INVALID_URL_REASON);
+  log.warn("🚫 adLibraryUrl inválida — marcando invalid_url sem navegar", { offer_id: offer.id, problems: check.problems, url: offer.adLibraryUrl ?? null });
+  const { error } = await repo.completeOffer(offer.id, { activeAds: null, updated_at: nowIso(), ...invalidUrlPatch(offer, INVALID_URL_REASON) });
+  if (error) log.warn("Erro ao marcar invalid_url", { offer_id: offer.id, phase: LOG_PHASES.DB, err: error });
 }
 
 /** Create initial contexts pool */
 async function createContexts(browser) {
   const contexts = [];
   for (let i = 0; i < CONTEXT_POOL_SIZE; i++) {
-    contexts.push(await createContext(browser));
+    contexts.push(await createContext(browser, { proxyPool, profilePool, sessionStore }));
   }
   return contexts;
 }
 
 async function closeContexts(contexts) {
-  for (const c of contexts) {
-    try { await c.close(); } catch (e) { /* ignore */ }
-  }
-}
-
-/** Extraction attempt function (single attempt) */
-async function attemptExtractFromPage(page, offer) {
-  // Try heading selector (fast)
-  try {
-    const text = await page.locator('div[role="heading"][aria-level="3"]').first().textContent({ timeout: SELECTOR_TIMEOUT }).catch(() => null);
-    if (text) {
-      const parsed = parseCountFromHeadingText(text);
-      if (parsed != null) return { found: true, count: parsed, raw: text };
-    }
-  } catch (e) {
-    // ignore
-  }
-
-  // Try frames
-  try {
-    for (const frame of page.frames()) {
-      const ft = await frame.locator('div[role="heading"][aria-level="3"]').first().textContent().catch(() => null);
-      if (ft) {
-        const parsed = parseCountFromHeadingText(ft);
-        if (parsed != null) return { found: true, count: parsed, raw: ft };
-      }
-    }
-  } catch (e) {
-    // ignore
-  }
-
-  // Fallback evaluate (extension method)
-  try {
-    const evalRes = await page.evaluate(injectedGetPageDetailsAndAdCountForEvaluate, offer.offerName || "");
-    if (evalRes && evalRes.extractedSuccessfully && typeof evalRes.results === "number") {
-      return { found: true, count: evalRes.results, raw: evalRes.rawText || null };
-    }
-  } catch (e) {
-    // ignore
-  }
-
-  return { found: false };
+  for (const c of contexts) await closeContext(c);
 }
 
-/** Main processing */
-async function processOffers(offersSlice) {
+/** Main processing: pool adaptativo consome nextOffer() até a fila esvaziar. Retorna { nextError } do pool */
+async function processOffers(nextOffer) {
   const browser = await chromium.launch({ headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] });
   const contexts = await createContexts(browser);
-  let consecutiveFails = 0;
-  let consecutiveSuccess = 0;
   let blockedCount = 0;
+  let pauseUntil = 0; // backoff de bloqueios: next() espera até aqui antes de pegar outra oferta
+  let processed = 0;
   const workerStart = Date.now();
 
-  try {
-    for (let i = 0; i < offersSlice.length; i += PARALLEL) {
-      const batch = offersSlice.slice(i, i + PARALLEL);
-      const batchStart = Date.now();
-      logInfo(`📦 Processando bloco ${Math.floor(i / PARALLEL) + 1} (${batch.length} ofertas) — Worker ${WORKER_INDEX}`);
+  const controller = createAimdController({
+    initial: PARALLEL,
+    min: PARALLEL_MIN,
+    max: PARALLEL_MAX,
+    window: PARALLEL_WINDOW,
+    badRate: PARALLEL_BAD_RATE,
+    onChange: (limit, previous, reason) => {
+      metrics.concurrency(limit);
+      if (limit < previous) log.warn(`🎚️ Concorrência ${previous} -> ${limit}`, { reason });
+      else log.info(`🎚️ Concorrência ${previous} -> ${limit}`, { reason });
+    },
+  });
+  metrics.concurrency(controller.limit());
+
+  /** Processa uma oferta e devolve o POOL_OUTCOMES que alimenta o controle de concorrência */
+  const processOffer = async (offer) => {
+    if (!offer || !offer.adLibraryUrl) return null;
+    let outcome = POOL_OUTCOMES.FAILURE;
+    metrics.attempt();
+    const offerStart = Date.now();
+    const olog = log.child({ offer_id: offer.id });
+
+    // 1) Pick context: random from pool, occasionally create a temp context for diversity
+    // (também quando todos os contexts do pool estão sendo reciclados)
+    let ctxIndex = pickContextIndex(contexts);
+    let context = ctxIndex >= 0 ? contexts[ctxIndex] : null;
+    if (!context || randProb(NEW_CONTEXT_PROB)) {
+      try {
+        context = await createContext(browser, { proxyPool, profilePool, sessionStore });
+        ctxIndex = -1;
+        metrics.tempContext();
+        olog.info("using temporary context for diversification");
+      } catch (e) {
+        if (!context) throw e;
+      }
+    }
 
-      await Promise.all(batch.map(async (offer) => {
-        if (!offer || !offer.adLibraryUrl) return;
+    let page = null;
+    let servingContext = context; // context (e proxy) que produziu o resultado final
+    let servingPage = null; // página que produziu o resultado (usada pela extração profunda)
+    try {
+      // Dentro do try: falha ao abrir a página também grava o failurePatch e libera o lease
+      page = await openPage(context);
+      servingPage = page;
+      olog.info(`⌛ Acessando: ${offer.adLibraryUrl}`, { phase: LOG_PHASES.NAVIGATE });
+
+      // Initial navigation attempt
+      let response = null;
+      let navTimedOut = false;
+      const render = watchRender(page);
+      const network = watchNetworkCount(page);
+      try {
+        response = await page.goto(offer.adLibraryUrl, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT });
+      } catch (e) {
+        navTimedOut = e?.name === "TimeoutError";
+        olog.warn("⚠️ goto erro", { phase: LOG_PHASES.NAVIGATE, err: e });
+      }
 
-        // NEW: se status_updated for NULL no registro, setar activeAds = null imediatamente (marcar erro)
-        try {
-          if (offer.status_updated === null || offer.status_updated === undefined) {
-            const currentAttempts = Number(offer.attempts ?? 0) + 1;
-            logInfo(`[${offer.id}] status_updated=null detectado -> marcando activeAds=null e status_updated='erro' (attempts=${currentAttempts})`);
+      // Wait for the counter to render (first real signal, WAIT_TIME as upper bound)
+      const rendered = await render.wait({ maxWaitMs: WAIT_TIME + jitter(500) });
+      metrics.render(rendered.renderMs, rendered.signal);
+      olog.debug(`render: ${rendered.signal} em ${rendered.renderMs}ms (espera ${rendered.waitMs}ms)`, { phase: LOG_PHASES.NAVIGATE, render_ms: rendered.renderMs, render_signal: rendered.signal });
+
+      // First: attempt extraction
+      let result = await attemptExtractFromPage(page, offer, { selectorTimeout: SELECTOR_TIMEOUT, network });
+
+      // Classify the page only if necessary (avoid heavy calls)
+      let htmlContent = null;
+      let classification = { reason: null, blocked: false, signals: [] };
+      const statusCode = response ? response.status() : null;
+      if (!result.found) {
+        const inspected = await inspectPage(page, response);
+        htmlContent = inspected.html;
+        classification = inspected.classification;
+      }
+
+      // Determine whether initial attempt looks like a block
+      const initialBlocked = classification.blocked;
+
+      // If initialBlocked true, perform a retry with alternate context first (to confirm block)
+      let confirmedBlock = false;
+      if (initialBlocked) {
+        olog.warn("possível bloqueio detectado — tentando retry alternativo para confirmar", { phase: LOG_PHASES.EXTRACT, reason: classification.reason, status: statusCode, signals: classification.signals });
+        // Try retry with an alternate context (if another one of the pool is available)
+        let altSucceeded = false;
+        metrics.retry();
+        const altIdx = pickContextIndex(contexts, ctxIndex);
+        if (altIdx >= 0) {
+          try {
+            // close original page to free resources
+            try { await page.close(); } catch (e) {}
+            const altContext = contexts[altIdx];
+            const altPage = await openPage(altContext);
+            servingContext = altContext;
+            let resp2 = null;
+            const altRender = watchRender(altPage);
+            const altNetwork = watchNetworkCount(altPage);
             try {
-              const { data: missingData, error: missingErr } = await supabase
-                .from("swipe_file_offers")
-                .update({ activeAds: null, updated_at: nowIso(), status_updated: "erro", attempts: currentAttempts })
-                .eq("id", offer.id);
-              if (missingErr) logWarn(`[${offer.id}] Falha ao marcar activeAds=null para status_updated=null: ${missingErr.message || JSON.stringify(missingErr)}`);
-              else logInfo(`[${offer.id}] activeAds=null gravado para registro com status_updated=null (db rows=${(missingData||[]).length})`);
-            } catch (e) {
-              logWarn(`[${offer.id}] Exceção ao gravar activeAds=null para status_updated=null: ${String(e?.message || e)}`);
+              resp2 = await altPage.goto(offer.adLibraryUrl, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT });
+            } catch (e) { /* ignore */ }
+            await altRender.wait({ maxWaitMs: WAIT_TIME + jitter(400) });
+            const evalRes2 = await attemptExtractFromPage(altPage, offer, { selectorTimeout: SELECTOR_TIMEOUT, network: altNetwork });
+            const status2 = resp2 ? resp2.status() : null;
+            const { classification: classification2 } = await inspectPage(altPage, resp2);
+            const blocked2 = classification2.blocked;
+            if (evalRes2.found) {
+              // alt succeeded extracting -> not a block
+              result = evalRes2;
+              altSucceeded = true;
+              servingPage = altPage;
+              olog.info(`retry alt context extraiu com sucesso: ${result.count}`, { phase: LOG_PHASES.RETRY });
+            } else if (blocked2 && initialBlocked) {
+              // both attempts show block signals -> confirm block
+              confirmedBlock = true;
+              classification = classification2;
+              olog.warn("bloqueio confirmado em ambos contextos", { phase: LOG_PHASES.RETRY, reason: classification2.reason, status: status2 });
+            } else {
+              // alt didn't extract but not clearly blocked -> leave as no-result (will increment attempts)
+              classification = classification2;
+              olog.info("retry alt não extraiu, mas sem confirmação de bloqueio", { phase: LOG_PHASES.RETRY });
             }
-            // Continuamos com o processamento normal: se extração tiver sucesso, sobrescreve esse null.
+            if (servingPage !== altPage) try { await altPage.close(); } catch (e) {}
+          } catch (e) {
+            olog.warn("retry alternativo falhou", { phase: LOG_PHASES.RETRY, err: e });
           }
-        } catch (e) {
-          logWarn(`[${offer.id}] Erro ao checar status_updated null: ${String(e?.message || e)}`);
-        }
-
-        // 1) Pick context: random from pool, occasionally create a temp context for diversity
-        let ctxIndex, context;
-        let isTempContext = false;
-        if (randProb(NEW_CONTEXT_PROB)) {
+        } else {
+          // no other context available -> fallback: try reload once on same page
           try {
-            context = await createContext(browser);
-            ctxIndex = -1;
-            isTempContext = true;
-            logInfo(`[${offer.id}] using temporary context for diversification`);
+            render.restart();
+            network.restart();
+            const resp2 = await page.reload({ waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT }).catch(() => null);
+            await render.wait({ maxWaitMs: WAIT_TIME + jitter(400) });
+            const reloadRes = await attemptExtractFromPage(page, offer, { selectorTimeout: SELECTOR_TIMEOUT, network });
+            if (reloadRes.found) {
+              result = reloadRes;
+              olog.info(`reload local extraiu com sucesso: ${result.count}`, { phase: LOG_PHASES.RETRY });
+            } else {
+              // check page for block signs
+              const status2 = resp2 ? resp2.status() : null;
+              const { classification: classification2 } = await inspectPage(page, resp2);
+              classification = classification2;
+              if (classification2.blocked) {
+                confirmedBlock = true;
+                olog.warn("bloqueio possível confirmado após reload", { phase: LOG_PHASES.RETRY, reason: classification2.reason, status: status2 });
+              }
+            }
           } catch (e) {
-            ctxIndex = Math.floor(Math.random() * CONTEXT_POOL_SIZE);
-            context = contexts[ctxIndex];
+            olog.warn("reload retry erro", { phase: LOG_PHASES.RETRY, err: e });
           }
-        } else {
-          ctxIndex = Math.floor(Math.random() * CONTEXT_POOL_SIZE);
-          context = contexts[ctxIndex];
         }
-
-        const page = await context.newPage();
-        try {
-          logInfo(`⌛ [${offer.id}] Acessando: ${offer.adLibraryUrl}`);
-
-          // Initial navigation attempt
-          let response = null;
+        // If confirm block flagged, mark and skip further retries/extraction attempts
+        if (confirmedBlock) {
+          blockedCount++;
+          // Um report por oferta: vai para o context que deu o resultado final (o alternativo, se houve retry)
+          reportContextOutcome(browser, contexts, servingContext, PROXY_OUTCOMES.BLOCK);
+          // O context original também mostrou bloqueio: a sessão dele não volta para o disco no closeContext
+          if (sessionStore && context !== servingContext) sessionStore.invalidate(context);
           try {
-            response = await page.goto(offer.adLibraryUrl, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT });
+            // status_updated recebe o motivo do bloqueio (login_wall, captcha, rate_limited, checkpoint...)
+            const blockReason = classification.reason || BLOCK_REASONS.UNKNOWN;
+            const patch = blockPatch(offer, blockReason);
+            metrics.confirmedBlock();
+            metrics.failure(blockReason);
+            olog.info(`marcando status_updated=${patch.status_updated} e activeAds=null (bloqueio confirmado)`, { phase: LOG_PHASES.DB, reason: blockReason });
+            const { data: blockData, error: blockErr } = await repo.completeOffer(offer.id, { activeAds: null, updated_at: nowIso(), ...patch, last_proxy_id: servingContext.__proxyId ?? null });
+            if (blockErr) olog.warn(`Erro ao marcar ${blockReason}+null no DB`, { phase: LOG_PHASES.DB, err: blockErr });
+            else olog.info(`marcado ${blockReason} e activeAds=null`, { phase: LOG_PHASES.DB, rows: (blockData||[]).length });
           } catch (e) {
-            logWarn(`⚠️ [${offer.id}] goto erro: ${String(e?.message || e)}`);
+            olog.warn("Erro DB ao marcar bloqueio", { phase: LOG_PHASES.DB, err: e });
           }
-
-          // Allow more time for JS to render the counter
-          await page.waitForTimeout(WAIT_TIME + jitter(500));
-
-          // First: attempt extraction
-          let result = await attemptExtractFromPage(page, offer);
-
-          // Gather content and status for block heuristics only if necessary (avoid heavy calls)
-          let htmlContent = null;
-          let statusCode = response ? response.status() : null;
-          if (!result.found) {
-            try { htmlContent = await page.content().catch(() => null); } catch (e) { htmlContent = null; }
+          // Backoff do worker (com pool de proxies o banco de proxies o substitui): a oferta já foi
+          // gravada; o pool cai para o mínimo e não pega ofertas novas por BLOCK_BACKOFF_MS
+          if (blockedCount >= BLOCK_BACKOFF_AFTER && proxyPool.size === 0) {
+            log.warn(`⚠️ Worker ${WORKER_INDEX} detectou muitos bloqueios (${blockedCount}). Backoff ${Math.round(BLOCK_BACKOFF_MS / 1000)}s.`);
+            pauseUntil = Date.now() + BLOCK_BACKOFF_MS;
+            controller.backoff(`${blockedCount} bloqueios confirmados`);
+            blockedCount = 0;
           }
+          try { if (!page.isClosed()) await page.close(); } catch (e) {}
+          return POOL_OUTCOMES.BLOCK;
+        }
+      } // end initial blocked handling
+
+      // In-run retries (RETRY_ATTEMPTS, backoff exponencial) para falhas sem sinal de bloqueio
+      for (let n = 1; !result.found && !initialBlocked && classification.reason !== BLOCK_REASONS.EMPTY_RESULTS && n <= RETRY_ATTEMPTS; n++) {
+        await sleep(inRunRetryDelayMs(n));
+        metrics.retry();
+        olog.info(`retry ${n}/${RETRY_ATTEMPTS}: recarregando página`, { phase: LOG_PHASES.RETRY });
+        render.restart();
+        network.restart();
+        const retryResp = await page.reload({ waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT }).catch(() => null);
+        await render.wait({ maxWaitMs: WAIT_TIME + jitter(400) });
+        result = await attemptExtractFromPage(page, offer, { selectorTimeout: SELECTOR_TIMEOUT, network });
+        if (!result.found) ({ html: htmlContent, classification } = await inspectPage(page, retryResp));
+      }
 
-          // Determine whether initial attempt looks like a block
-          const initialBlocked = (statusCode && [401,403,407,429].includes(statusCode)) || contentLooksBlocked(htmlContent);
-
-          // If initialBlocked true, perform a retry with alternate context first (to confirm block)
-          let confirmedBlock = false;
-          if (initialBlocked) {
-            logWarn(`[${offer.id}] possível bloqueio detectado (status=${statusCode}) — tentando retry alternativo para confirmar`);
-            // Try retry with an alternate context (if pool > 1)
-            let altSucceeded = false;
-            if (CONTEXT_POOL_SIZE > 1) {
-              const altIdx = (() => {
-                let k;
-                do { k = Math.floor(Math.random() * CONTEXT_POOL_SIZE); } while (k === ctxIndex && CONTEXT_POOL_SIZE > 1);
-                return k;
-              })();
-              try {
-                // close original page to free resources
-                try { await page.close(); } catch (e) {}
-                const altContext = contexts[altIdx];
-                const altPage = await altContext.newPage();
-                let resp2 = null;
-                try {
-                  resp2 = await altPage.goto(offer.adLibraryUrl, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT });
-                } catch (e) { /* ignore */ }
-                await altPage.waitForTimeout(WAIT_TIME + jitter(400));
-                const evalRes2 = await attemptExtractFromPage(altPage, offer);
-                let html2 = null;
-                try { html2 = await altPage.content().catch(() => null); } catch (e) { html2 = null; }
-                const status2 = resp2 ? resp2.status() : null;
-                const blocked2 = (status2 && [401,403,407,429].includes(status2)) || contentLooksBlocked(html2);
-                if (evalRes2.found) {
-                  // alt succeeded extracting -> not a block
-                  result = evalRes2;
-                  altSucceeded = true;
-                  logInfo(`[${offer.id}] retry alt context extraiu com sucesso: ${result.count}`);
-                } else if (blocked2 && initialBlocked) {
-                  // both attempts show block signals -> confirm block
-                  confirmedBlock = true;
-                  logWarn(`[${offer.id}] bloqueio confirmado em ambos contextos (status2=${status2})`);
-                } else {
-                  // alt didn't extract but not clearly blocked -> leave as no-result (will increment attempts)
-                  logInfo(`[${offer.id}] retry alt não extraiu, mas sem confirmação de bloqueio`);
-                }
-                try { await altPage.close(); } catch (e) {}
-              } catch (e) {
-                logWarn(`[${offer.id}] retry alternativo falhou: ${String(e?.message || e)}`);
-              }
-            } else {
-              // only one context -> fallback: try reload once on same page
-              try {
-                await page.reload({ waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT }).catch(() => null);
-                await page.waitForTimeout(WAIT_TIME + jitter(400));
-                const reloadRes = await attemptExtractFromPage(page, offer);
-                if (reloadRes.found) {
-                  result = reloadRes;
-                  logInfo(`[${offer.id}] reload local extraiu com sucesso: ${result.count}`);
-                } else {
-                  // check content for block signs
-                  const html2 = await page.content().catch(() => null);
-                  const status2 = page && page.response ? (page.response().status ? page.response().status() : null) : null;
-                  if ((status2 && [401,403,407,429].includes(status2)) || contentLooksBlocked(html2)) {
-                    confirmedBlock = true;
-                    logWarn(`[${offer.id}] bloqueio possível confirmado após reload (status2=${status2})`);
-                  }
-                }
-              } catch (e) {
-                logWarn(`[${offer.id}] reload retry erro: ${String(e?.message || e)}`);
-              }
-            }
-            // If confirm block flagged, mark and skip further retries/extraction attempts
-            if (confirmedBlock) {
-              blockedCount++;
-              if (blockedCount >= 30) {
-                logWarn(`⚠️ Worker ${WORKER_INDEX} detectou muitos bloqueios (${blockedCount}). Backoff 5min.`);
-                await sleep(5 * 60 * 1000);
-                blockedCount = 0;
-              }
-              try {
-                // Note: agora também gravamos activeAds = null ao marcar blocked_ip
-                logInfo(`[${offer.id}] marcando status_updated=blocked_ip e activeAds=null (bloqueio confirmado)`);
-                const { data: blockData, error: blockErr } = await supabase
-                  .from("swipe_file_offers")
-                  .update({ activeAds: null, updated_at: nowIso(), status_updated: "blocked_ip", attempts: Number(offer.attempts ?? 0) + 1 })
-                  .eq("id", offer.id);
-                if (blockErr) logWarn(`[${offer.id}] Erro ao marcar blocked_ip+null no DB: ${blockErr.message || JSON.stringify(blockErr)}`);
-                else logInfo(`[${offer.id}] marcado blocked_ip e activeAds=null (db rows=${(blockData||[]).length})`);
-              } catch (e) {
-                logWarn(`[${offer.id}] Erro DB ao marcar blocked_ip: ${String(e?.message || e)}`);
-              }
-              try { if (!page.isClosed()) await page.close(); } catch (e) {}
-              if (isTempContext) try { await context.close(); } catch (e) {}
-              return;
-            }
-          } // end initial blocked handling
-
-          // After retries, if still not found -> mark as erro (X vermelho) and increment attempts
-          const updated_at = nowIso();
-          if (result.found) {
-            const activeAds = result.count;
-            try {
-              const { data: updData, error } = await supabase
-              .from("swipe_file_offers")
-              .update({ activeAds, updated_at, status_updated: "success", attempts: 0 })
-              .eq("id", offer.id);
-              if (error) {
-                logWarn(`[${offer.id}] Erro ao atualizar DB (success update): ${error.message || JSON.stringify(error)}`);
-              } else {
-                logInfo(`✅ [${offer.id}] atualizado activeAds=${activeAds} (db rows=${(updData||[]).length})`);
-              }
-            } catch (e) {
-              logWarn(`[${offer.id}] Supabase update error (success): ${String(e?.message || e)}`);
-            }
-            consecutiveSuccess++;
-            consecutiveFails = 0;
-            blockedCount = 0;
+      // "Nenhum anúncio corresponde" sem contador legível: a oferta zerou, grava 0 como sucesso
+      if (!result.found) result = emptyResultsCount(classification) ?? result;
+
+      // After retries, if still not found -> mark the classified reason and increment attempts
+      const updated_at = nowIso();
+      if (result.found) {
+        const activeAds = result.count;
+        metrics.extractMethod(result.method);
+        const proxyId = servingContext.__proxyId ?? null;
+        reportContextOutcome(browser, contexts, servingContext, PROXY_OUTCOMES.SUCCESS);
+        const advPatch = advertiserPatch(offer, await extractAdvertiser(servingPage, offer));
+        if (advPatch.advertiser_name_changed) {
+          olog.warn("🔀 Nome do anunciante mudou desde a última execução", { phase: LOG_PHASES.EXTRACT, previous: advPatch.advertiser_previous_name, name: advPatch.advertiser_name });
+        }
+        try {
+          const { data: updData, error } = await repo.completeOffer(offer.id, { activeAds, updated_at, ...successPatch(offer), ...advPatch, last_proxy_id: proxyId });
+          if (error) {
+            olog.warn("Erro ao atualizar DB (success update)", { phase: LOG_PHASES.DB, err: error });
           } else {
-            // not found after retries -> mark erro (red X) and increment attempts
-            logWarn(`❌ [${offer.id}] contador não encontrado após retry(s) — marcando erro (X vermelho) e incrementando attempts`);
-            try {
-              const html = DEBUG ? (htmlContent || await page.content().catch(() => null)) : null;
-              if (html) {
-                const dbg = await saveDebugHtml(html, offer.id, "no-counter-after-retries");
-                if (dbg && dbg.htmlPath) logInfo(`[${offer.id}] debug salvo: ${dbg.htmlPath}`);
-              }
-            } catch (e) {
-              logWarn(`[${offer.id}] falha ao salvar debug: ${String(e?.message || e)}`);
-            }
-
-            const currentAttempts = Number(offer.attempts ?? 0);
-            const newAttempts = currentAttempts + 1;
-            try {
-              // CIRÚRGICO: sempre setar activeAds = null após os retries desta execução
-              logInfo(`[${offer.id}] Atualizando DB: setting activeAds=null, status_updated="erro", attempts=${newAttempts}`);
-              const { data: finalData, error: finalErr } = await supabase
-                .from("swipe_file_offers")
-                .update({ activeAds: null, updated_at, status_updated: "erro", attempts: newAttempts })
-                .eq("id", offer.id);
-              if (finalErr) {
-                logWarn(`[${offer.id}] DB update (final erro) falhou: ${finalErr.message || JSON.stringify(finalErr)}`);
-              } else {
-                logInfo(`[${offer.id}] marcado erro e activeAds=null após ${newAttempts} tentativas (db rows=${(finalData||[]).length})`);
-              }
-            } catch (e) {
-              logWarn(`[${offer.id}] Erro ao atualizar attempts/status: ${String(e?.message || e)}`);
-            }
-            consecutiveFails++;
+            olog.info(`✅ atualizado activeAds=${activeAds} (${result.method})`, { phase: LOG_PHASES.DB, rows: (updData||[]).length, profile_id: servingContext.__profileId, method: result.method, selector: result.selector, render_ms: rendered.renderMs, render_signal: rendered.signal });
           }
-        } catch (err) {
-          logError(`🚫 [${offer.id}] Erro inesperado:`, err?.message || err);
+        } catch (e) {
+          olog.warn("DB update error (success)", { phase: LOG_PHASES.DB, err: e });
+        }
+        try {
+          const { error: histErr } = await recordSnapshot({ offerId: offer.id, activeAds, rawText: result.raw ?? null, approximate: result.approximate ?? null, method: result.method ?? null, workerId: WORKER_ID, proxyId, scrapedAt: updated_at });
+          if (histErr) olog.warn("Erro ao gravar snapshot no histórico", { phase: LOG_PHASES.DB, err: histErr });
+        } catch (e) {
+          olog.warn("Supabase insert error (history)", { phase: LOG_PHASES.DB, err: e });
+        }
+        if (DEEP_EXTRACT) {
           try {
-            const currentAttempts = Number(offer.attempts ?? 0);
-            const newAttempts = currentAttempts + 1;
-            if (newAttempts >= MAX_FAILS) {
-              const { data: errData, error: errUpdate } = await supabase.from("swipe_file_offers").update({ activeAds: null, updated_at: nowIso(), status_updated: "error", attempts: newAttempts }).eq("id", offer.id);
-              if (errUpdate) logWarn(`[${offer.id}] Erro ao gravar estado de exceção (final): ${errUpdate.message || JSON.stringify(errUpdate)}`);
-              else logInfo(`[${offer.id}] gravou estado de exceção e activeAds=null (db rows=${(errData||[]).length})`);
-            } else {
-              const { data: errData2, error: errUpdate2 } = await supabase.from("swipe_file_offers").update({ updated_at: nowIso(), status_updated: `error_attempt_${newAttempts}`, attempts: newAttempts }).eq("id", offer.id);
-              if (errUpdate2) logWarn(`[${offer.id}] Erro ao gravar estado de exceção (attempt increment): ${errUpdate2.message || JSON.stringify(errUpdate2)}`);
-              else logInfo(`[${offer.id}] gravou estado de exceção (attempt increment=${newAttempts}) (db rows=${(errData2||[]).length})`);
-            }
+            const cards = await extractAdCards(servingPage, { limit: DEEP_EXTRACT_LIMIT, maxScrolls: DEEP_EXTRACT_MAX_SCROLLS });
+            const { error: adsErr } = await recordAdCards(offer.id, cards, repo, updated_at);
+            if (adsErr) olog.warn("Erro ao gravar cards de anúncio", { phase: LOG_PHASES.DB, err: adsErr });
+            const oldest = cards.reduce((max, c) => Math.max(max, daysRunning(c) ?? 0), 0);
+            olog.info(`🧾 ${cards.length} cards de anúncio extraídos (mais antigo: ${oldest} dias)`, { phase: LOG_PHASES.EXTRACT, ads: cards.length });
           } catch (e) {
-            logWarn(`[${offer.id}] DB update (exception) failed: ${String(e?.message || e)}`);
+            olog.warn("Extração profunda falhou", { phase: LOG_PHASES.EXTRACT, err: e });
           }
-          consecutiveFails++;
-        } finally {
-          try { if (!page.isClosed()) await page.close(); } catch (e) {}
-          if (ctxIndex === -1 && typeof context?.close === "function") {
-            try { await context.close(); } catch (e) {}
-          } else if (ctxIndex >= 0) {
-            contexts[ctxIndex].__pagesProcessed = (contexts[ctxIndex].__pagesProcessed || 0) + 1;
-            if (contexts[ctxIndex].__pagesProcessed >= PROCESS_PER_CONTEXT) {
-              recreateContext(browser, contexts, ctxIndex).catch(e => logWarn("recreateContext failed:", e?.message || e));
-            }
+        }
+        if (COUNTRIES.length > 0) {
+          // Por último: navega a mesma página para a URL de cada país
+          try {
+            const byCountry = await collectCountryCounts(offer, activeAds, COUNTRIES, async (url) => {
+              olog.info(`🌍 Contando país: ${url}`, { phase: LOG_PHASES.NAVIGATE });
+              const countryRender = watchRender(servingPage);
+              const countryNetwork = watchNetworkCount(servingPage);
+              try {
+                await servingPage.goto(url, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT });
+                await countryRender.wait({ maxWaitMs: WAIT_TIME + jitter(400) });
+                return await attemptExtractFromPage(servingPage, offer, { selectorTimeout: SELECTOR_TIMEOUT, network: countryNetwork });
+              } finally {
+                countryRender.stop();
+                countryNetwork.stop();
+              }
+            });
+            const { error: countryErr } = await repo.updateOffer(offer.id, { active_ads_by_country: byCountry, active_ads_by_country_at: nowIso() });
+            if (countryErr) olog.warn("Erro ao gravar contagem por país", { phase: LOG_PHASES.DB, err: countryErr });
+            else olog.info("🌍 Contagem por país", { phase: LOG_PHASES.DB, by_country: byCountry });
+          } catch (e) {
+            olog.warn("Contagem por país falhou", { phase: LOG_PHASES.EXTRACT, err: e });
           }
-          await sleep(150 + jitter(300));
         }
-      })); // end batch map
-
-      const batchElapsed = (Date.now() - batchStart) / 1000;
-      logInfo(`✅ Bloco finalizado em ${batchElapsed.toFixed(2)}s — processed ${batch.length} offers`);
+        metrics.success();
+        outcome = POOL_OUTCOMES.SUCCESS;
+        blockedCount = 0;
+      } else {
+        // not found after retries -> mark reason (unknown when nothing was recognized) and increment attempts
+        const failureReason = classification.reason || BLOCK_REASONS.UNKNOWN;
+        metrics.failure(failureReason);
+        reportContextOutcome(browser, contexts, servingContext, navTimedOut ? PROXY_OUTCOMES.TIMEOUT : PROXY_OUTCOMES.FAILURE);
+        olog.warn(`❌ contador não encontrado após retry(s) — marcando ${failureReason} e incrementando attempts`, { phase: LOG_PHASES.EXTRACT, reason: failureReason });
+        try {
+          const html = DEBUG ? (htmlContent || await page.content().catch(() => null)) : null;
+          if (html) {
+            const dbg = await saveDebugHtml(html, offer.id, `no-counter-after-retries reason=${failureReason}`);
+            if (dbg && dbg.htmlPath) olog.info(`debug salvo: ${dbg.htmlPath}`);
+          }
+        } catch (e) {
+          olog.warn("falha ao salvar debug", { err: e });
+        }
 
-      if (consecutiveFails >= 10) {
-        logWarn(`⚠️ Consecutive fails high (${consecutiveFails}) — consider reducing PARALLEL or checking IP`);
-      } else if (consecutiveSuccess >= 50) {
-        consecutiveSuccess = 0;
+        try {
+          // CIRÚRGICO: sempre setar activeAds = null após os retries desta execução
+          const patch = failurePatch(offer, failureReason);
+          olog.info(`Atualizando DB: setting activeAds=null, status_updated="${patch.status_updated}"`, { phase: LOG_PHASES.DB, attempts: patch.attempts, next_eligible_at: patch.next_eligible_at });
+          const { data: finalData, error: finalErr } = await repo.completeOffer(offer.id, { activeAds: null, updated_at, ...patch, last_proxy_id: servingContext.__proxyId ?? null });
+          if (finalErr) {
+            olog.warn(`DB update (final ${failureReason}) falhou`, { phase: LOG_PHASES.DB, err: finalErr });
+          } else {
+            olog.info(`marcado ${patch.status_updated} e activeAds=null após ${patch.attempts} tentativas`, { phase: LOG_PHASES.DB, rows: (finalData||[]).length });
+          }
+        } catch (e) {
+          olog.warn("Erro ao atualizar attempts/status", { phase: LOG_PHASES.DB, err: e });
+        }
+        outcome = navTimedOut ? POOL_OUTCOMES.TIMEOUT : POOL_OUTCOMES.FAILURE;
       }
+    } catch (err) {
+      olog.error("🚫 Erro inesperado", { err });
+      reportContextOutcome(browser, contexts, servingContext, PROXY_OUTCOMES.FAILURE);
+      metrics.failure(EXCEPTION_REASON);
+      try {
+        const patch = failurePatch(offer, EXCEPTION_REASON);
+        const { data: errData, error: errUpdate } = await repo.completeOffer(offer.id, { activeAds: null, updated_at: nowIso(), ...patch, last_proxy_id: servingContext?.__proxyId ?? null });
+        if (errUpdate) olog.warn("Erro ao gravar estado de exceção", { phase: LOG_PHASES.DB, err: errUpdate });
+        else olog.info(`gravou ${patch.status_updated} (attempts=${patch.attempts}) e activeAds=null`, { phase: LOG_PHASES.DB, rows: (errData||[]).length });
+      } catch (e) {
+        olog.warn("DB update (exception) failed", { phase: LOG_PHASES.DB, err: e });
+      }
+    } finally {
+      metrics.latency(Date.now() - offerStart);
+      if (page) try { if (!page.isClosed()) await page.close(); } catch (e) {}
+      if (servingPage !== page) try { if (!servingPage.isClosed()) await servingPage.close(); } catch (e) {}
+      if (ctxIndex === -1) {
+        retireContext(context);
+      } else {
+        context.__pagesProcessed = (context.__pagesProcessed || 0) + 1;
+        // O slot pode já ter um context novo (reciclado por outra oferta enquanto esta rodava)
+        if (context.__pagesProcessed >= PROCESS_PER_CONTEXT && contexts[ctxIndex] === context) {
+          recreateContext(browser, contexts, ctxIndex).catch(e => log.warn("recreateContext failed", { err: e }));
+        }
+      }
+      await sleep(150 + jitter(300));
+      processed++;
+      if (processed % 25 === 0) log.info(`📦 ${processed} ofertas processadas — Worker ${WORKER_INDEX}, concorrência ${controller.limit()}`);
+    }
+    return outcome;
+  };
 
-      await sleep(200 + jitter(400));
-    } // end batches
+  try {
+    const next = async () => {
+      const wait = pauseUntil - Date.now();
+      if (wait > 0) await sleep(wait);
+      return nextOffer();
+    };
+    return await runAdaptivePool({ next, run: processOffer, controller });
   } finally {
     await closeContexts(contexts);
     try { await browser.close(); } catch (e) {}
+    if (proxyPool.size > 0) log.info("🌐 Proxies (score por egress)", { proxies: proxyPool.stats() });
+    log.info("🧬 Perfis de fingerprint", { sticky: profilePool.sticky, profiles: profilePool.stats() });
+    if (sessionStore) log.info("🍪 Sessões persistidas", { dir: sessionStore.dir, ...sessionStore.stats() });
     const totalElapsed = (Date.now() - workerStart) / 1000;
-    logInfo(`🏁 Worker ${WORKER_INDEX} finalizado em ${totalElapsed.toFixed(1)}s`);
+    log.info(`🏁 Worker ${WORKER_INDEX} finalizado em ${totalElapsed.toFixed(1)}s`);
+    try {
+      const reportPath = await metrics.write();
+      log.info(`📊 Relatório da execução: ${reportPath}`);
+    } catch (e) {
+      log.warn("❌ Falha ao gravar relatório da execução", { err: e });
+    }
   }
 }
 
 (async () => {
-  logInfo("🚀 Scraper otimizado (safer block detect + retry + longer waits) iniciando", { WORKER_INDEX, TOTAL_WORKERS, WORKER_ID, PARALLEL, CONTEXT_POOL_SIZE, PROCESS_PER_CONTEXT, NEW_CONTEXT_PROB });
+  const filter = selectionFilter(SELECTION_MODE);
+  if (!filter) {
+    log.error(`❌ SELECTION_MODE desconhecido: ${SELECTION_MODE} (use ${SELECTION_MODES.join(", ")})`);
+    process.exit(1);
+  }
+  log.info(`🚀 Scraper otimizado (safer block detect + retry + longer waits) iniciando — modo ${SELECTION_MODE}`, { WORKER_INDEX, PARALLEL, PARALLEL_MIN, PARALLEL_MAX, CONTEXT_POOL_SIZE, PROCESS_PER_CONTEXT, NEW_CONTEXT_PROB });
   if (DEBUG) ensureDebugDir();
 
   // small stagger between workers to avoid bursting
   await sleep(WORKER_INDEX * 1200 + jitter(800));
 
-  const { data: offers, error } = await supabase.from("swipe_file_offers").select("*");
-  if (error) {
-    logError("❌ Erro ao buscar ofertas:", error);
-    process.exit(1);
-  }
-  if (!Array.isArray(offers) || offers.length === 0) {
-    logInfo("ℹ️ Nenhuma oferta encontrada. Encerrando.");
-    process.exit(0);
+  // Fila com lease: cada lote é reservado no DB (claim_offers), então um worker que cair
+  // devolve suas ofertas quando o lease vencer e TOTAL_WORKERS não influencia o resultado.
+  let claimed = 0;
+  let claimFailed = false;
+  // Pre-flight das URLs: inválidas são marcadas sem abrir página e o lote é completado com novas reservas
+  const claimBatch = async () => {
+    for (;;) {
+      const limit = PROCESS_LIMIT ? Math.min(PARALLEL, PROCESS_LIMIT - claimed) : PARALLEL;
+      if (limit <= 0) return [];
+      const { data, error } = await repo.claimOffers({ workerId: WORKER_ID, limit, leaseMs: LEASE_MS, ...filter });
+      if (error) {
+        log.error("❌ Erro ao reservar ofertas", { phase: LOG_PHASES.DB, err: error });
+        claimFailed = true;
+        return [];
+      }
+      if (!data || data.length === 0) return [];
+      claimed += data.length;
+      const { valid, invalid } = preflightOffers(data);
+      for (const { offer, check } of invalid) await rejectInvalidUrl(offer, check);
+      if (valid.length > 0) return valid;
+    }
+  };
+
+  // Fila local: o pool pega uma oferta por vez; quando esvazia, reserva mais um lote
+  const queue = [];
+  const nextOffer = async () => {
+    if (queue.length === 0) queue.push(...await claimBatch());
+    return queue.shift() ?? null;
+  };
+
+  const { nextError } = await processOffers(nextOffer);
+  if (nextError) {
+    // Erro ao reservar/preparar o próximo lote: as ofertas em voo terminaram, o resto volta com o lease
+    log.error("❌ Erro ao buscar a próxima oferta — pool encerrado", { phase: LOG_PHASES.DB, err: nextError });
+    claimFailed = true;
   }
+  log.info(`🚀 Worker ${WORKER_INDEX} processou ${claimed} ofertas reservadas (modo ${SELECTION_MODE}, updated_at < ${filter.updatedBefore})`);
+  if (claimFailed) process.exit(1);
 
-  const shuffledOffers = shuffle(offers);
-  const total = shuffledOffers.length;
-  const chunkSize = Math.ceil(total / TOTAL_WORKERS);
-  let myOffers = shuffledOffers.slice(WORKER_INDEX * chunkSize, Math.min((WORKER_INDEX + 1) * chunkSize, total));
-  if (PROCESS_LIMIT) myOffers = myOffers.slice(0, PROCESS_LIMIT);
-
-  logInfo(`🚀 Total ofertas: ${shuffledOffers.length} — Worker ${WORKER_INDEX} processando ${myOffers.length} (chunkSize ${chunkSize})`);
-  await processOffers(myOffers);
-
-  logInfo("✅ Worker finalizado");
+  log.info("✅ Worker finalizado");
   process.exit(0);
 })();
@@ -0,0 +1,170 @@
+/**
+ * session-store.mjs - sessões do navegador (storage state do Playwright) persistidas entre execuções
+ *
+ * Sem o store todo context nasce frio: banner de cookies a aceitar, nenhum cookie de sessão, e tudo
+ * jogado fora depois de PROCESS_PER_CONTEXT páginas. Com SESSION_STORE=true o storage state
+ * (cookies + localStorage) é salvo por perfil de fingerprint + proxy em SESSION_DIR e recarregado
+ * pelo createContext (browser-context.mjs) nas execuções seguintes.
+ *
+ * Ciclo de uma sessão (chave `<profileId>__<proxyId|direct>`):
+ *   nova        context sem estado salvo -> navegação de aquecimento (SESSION_WARMUP_URL, aceita o banner
+ *               de cookies se aparecer) e o estado é salvo logo em seguida
+ *   reusada     estado salvo com menos de SESSION_MAX_AGE_HOURS -> carregado no newContext
+ *   salva       de novo quando o context é reciclado/fechado (cookies renovados durante a execução)
+ *   invalidada  bloqueio confirmado no context -> arquivo apagado e a época da chave avança: nenhum
+ *               context aberto antes disso (inclusive irmãos com a mesma chave) grava a sessão de novo
+ * FINGERPRINT_STICKY=true faz o mesmo perfil voltar para o mesmo proxy, então as sessões são reusadas mais.
+ *
+ * Env: SESSION_STORE (default false), SESSION_DIR (default ./sessions), SESSION_MAX_AGE_HOURS (default 72),
+ * SESSION_WARMUP_URL (default https://www.facebook.com/ads/library/), SESSION_WARMUP_TIMEOUT (default 30000).
+ * No CI o diretório é restaurado/salvo com actions/cache (ver scraper.yml).
+ */
+
+import fs from "fs";
+import path from "path";
+
+const SESSION_STORE = String(process.env.SESSION_STORE || "false").toLowerCase() === "true";
+const SESSION_DIR = process.env.SESSION_DIR || "./sessions";
+const SESSION_MAX_AGE_HOURS = parseFloat(process.env.SESSION_MAX_AGE_HOURS || "72");
+const SESSION_WARMUP_URL = process.env.SESSION_WARMUP_URL || "https://www.facebook.com/ads/library/";
+const SESSION_WARMUP_TIMEOUT = parseInt(process.env.SESSION_WARMUP_TIMEOUT || "30000", 10);
+
+const SESSION_FILE_VERSION = 1;
+
+// Botão "permitir todos os cookies" do diálogo de consentimento: atributos conhecidos, depois pelo texto (pt/en/es/de/fr)
+const COOKIE_ACCEPT_SELECTORS = [
+  '[data-cookiebanner="accept_button"]',
+  '[data-testid="cookie-policy-manage-dialog-accept-button"]',
+];
+const COOKIE_ACCEPT_NAME = /^(permitir todos os cookies|allow all cookies|aceitar todos|accept all|permitir todas las cookies|alle cookies erlauben|autoriser tous les cookies)$/i;
+
+function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
+
+/** Chave da sessão: perfil + proxy (IP direto = "direct") */
+export function sessionKey(profileId, proxyId = null) {
+  return `${profileId}__${proxyId || "direct"}`;
+}
+
+function fileFor(dir, key) {
+  return path.join(dir, `${key.replace(/[^a-zA-Z0-9._-]/g, "_")}.json`);
+}
+
+/**
+ * Store de sessões em disco. load() devolve o storage state (ou null se não houver / expirou),
+ * save(context) grava o estado atual do context, invalidate(context) apaga a sessão dele.
+ * epoch(key) é a época atual da chave: o createContext guarda em __sessionEpoch e o save() recusa
+ * contexts de uma época anterior à última invalidação.
+ */
+export function createSessionStore({ dir = SESSION_DIR, maxAgeMs = SESSION_MAX_AGE_HOURS * 60 * 60 * 1000 } = {}) {
+  const counters = { loaded: 0, created: 0, saved: 0, expired: 0, invalidated: 0, errors: 0 };
+  const epochs = new Map(); // chave -> nº de invalidações nesta execução
+  const epoch = (key) => epochs.get(key) ?? 0;
+  const isStale = (context) => (context.__sessionEpoch ?? 0) !== epoch(context.__sessionKey);
+
+  return {
+    dir,
+    epoch,
+
+    load(key, now = Date.now()) {
+      const file = fileFor(dir, key);
+      try {
+        if (!fs.existsSync(file)) return null;
+        const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+        const createdAt = Date.parse(saved.createdAt);
+        if (saved.version !== SESSION_FILE_VERSION || !saved.storageState || isNaN(createdAt) || now - createdAt > maxAgeMs) {
+          counters.expired++;
+          fs.rmSync(file, { force: true });
+          return null;
+        }
+        counters.loaded++;
+        return { storageState: saved.storageState, createdAt: saved.createdAt };
+      } catch (e) {
+        counters.errors++;
+        return null;
+      }
+    },
+
+    /** Grava o storage state do context (ignora contexts sem sessão, com sessão invalidada ou de época velha) */
+    async save(context) {
+      const key = context?.__sessionKey;
+      if (!key || context.__sessionInvalid || isStale(context)) return false;
+      try {
+        const storageState = await context.storageState();
+        const createdAt = context.__sessionCreatedAt || new Date().toISOString();
+        if (!context.__sessionCreatedAt) {
+          context.__sessionCreatedAt = createdAt;
+          counters.created++;
+        }
+        fs.mkdirSync(dir, { recursive: true });
+        const file = fileFor(dir, key);
+        const tmp = `${file}.${process.pid}.tmp`;
+        const body = { version: SESSION_FILE_VERSION, key, createdAt, savedAt: new Date().toISOString(), storageState };
+        await fs.promises.writeFile(tmp, JSON.stringify(body) + "\n", "utf8");
+        if (context.__sessionInvalid || isStale(context)) {
+          // invalidada enquanto o estado era lido: não ressuscita a sessão
+          await fs.promises.rm(tmp, { force: true });
+          return false;
+        }
+        await fs.promises.rename(tmp, file);
+        counters.saved++;
+        return true;
+      } catch (e) {
+        counters.errors++;
+        return false;
+      }
+    },
+
+    /** Bloqueio confirmado: apaga a sessão salva, avança a época da chave e marca o context para não regravá-la */
+    invalidate(context) {
+      const key = context?.__sessionKey;
+      if (!key || context.__sessionInvalid) return false;
+      context.__sessionInvalid = true;
+      counters.invalidated++;
+      // Irmão de uma chave já invalidada: o arquivo atual pode ser de um context novo, não apaga
+      if (isStale(context)) return true;
+      epochs.set(key, epoch(key) + 1);
+      try { fs.rmSync(fileFor(dir, key), { force: true }); } catch (e) { counters.errors++; }
+      return true;
+    },
+
+    stats() {
+      return { ...counters };
+    },
+  };
+}
+
+/** Store do env (null quando SESSION_STORE não está ligado) */
+export function createSessionStoreFromEnv() {
+  return SESSION_STORE ? createSessionStore() : null;
+}
+
+/**
+ * Navegação de aquecimento de uma sessão nova: abre SESSION_WARMUP_URL, aceita o banner de cookies
+ * se aparecer e dá um tempo para os cookies de primeira visita. Retorna { ok, cookieBanner }; não lança.
+ */
+export async function warmUpSession(context, { url = SESSION_WARMUP_URL, timeout = SESSION_WARMUP_TIMEOUT } = {}) {
+  let page = null;
+  try {
+    page = await context.newPage();
+    await page.goto(url, { waitUntil: "domcontentloaded", timeout });
+    let cookieBanner = false;
+    const candidates = [
+      ...COOKIE_ACCEPT_SELECTORS.map((sel) => page.locator(sel)),
+      page.getByRole("button", { name: COOKIE_ACCEPT_NAME }),
+    ];
+    for (const candidate of candidates) {
+      const button = candidate.first();
+      if (await button.waitFor({ state: "visible", timeout: 1500 }).then(() => true, () => false)) {
+        await button.click({ timeout: 3000 }).catch(() => {});
+        cookieBanner = true;
+        break;
+      }
+    }
+    await sleep(1000 + Math.floor(Math.random() * 1000));
+    return { ok: true, cookieBanner };
+  } catch (e) {
+    return { ok: false, cookieBanner: false, error: e };
+  } finally {
+    if (page) await page.close().catch(() => {});
+  }
+}
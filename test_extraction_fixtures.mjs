@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * test_extraction_fixtures.mjs - roda a extração contra HTMLs salvos da Ad Library (offline)
+ *
+ * Cada caso de fixtures/adlibrary/manifest.json é servido por um servidor HTTP local,
+ * aberto no Chromium e passado por attemptExtractFromPage (extract.mjs) + classifyPage (block-classifier.mjs).
+ *
+ * Campos do manifest:
+ *   file     arquivo HTML dentro de fixtures/adlibrary/
+ *   count    contagem esperada (null = nenhum contador deve ser encontrado; página empty_results sem contador vale 0)
+ *   reason   motivo esperado do classificador (null = página sem problema)
+ *   ads      (opcional) número de cards de anúncio esperado na extração profunda (ad-cards.mjs)
+ *   method   (opcional) método esperado da extração: network | dom
+ *   todo     (opcional) falha conhecida: reportada, mas não quebra a execução
+ * O servidor também responde /api/graphql/?payload=<arquivo> com um payload de fixtures/network/,
+ * para HTMLs que simulam a busca assíncrona da Ad Library (interceptada por network-count.mjs).
+ *
+ * Payloads de rede gravados (fixtures/network/manifest.json) rodam antes, sem navegador, direto no
+ * parseAdLibraryPayload: file, count (null = nenhum total deve ser encontrado), path (opcional, onde o total está).
+ *
+ * USO:
+ *   node test_extraction_fixtures.mjs                    # todos os casos
+ *   node test_extraction_fixtures.mjs --only captcha     # filtra pelo nome do arquivo
+ *   node test_extraction_fixtures.mjs --network-only     # só os payloads de rede (não abre o Chromium)
+ *
+ * Promover um HTML salvo pelo scraper em DEBUG=true (saveDebugHtml) para fixture:
+ *   node test_extraction_fixtures.mjs --promote debug/offer-123-<ts>.html --name login-wall-2 --count null --reason login_wall
+ */
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import { chromium } from "playwright";
+import { attemptExtractFromPage } from "./extract.mjs";
+import { parseAdLibraryPayload, watchNetworkCount } from "./network-count.mjs";
+import { extractAdCards } from "./ad-cards.mjs";
+import { BLOCK_REASONS, classifyPage, emptyResultsCount } from "./block-classifier.mjs";
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "adlibrary");
+const MANIFEST_PATH = path.join(FIXTURES_DIR, "manifest.json");
+const NETWORK_FIXTURES_DIR = path.join(path.dirname(FIXTURES_DIR), "network");
+const NETWORK_MANIFEST_PATH = path.join(NETWORK_FIXTURES_DIR, "manifest.json");
+const SELECTOR_TIMEOUT = 1500; // fixtures são estáticas: não faz sentido esperar 10s
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) args[a.slice(2)] = true;
+    else { args[a.slice(2)] = next; i++; }
+  }
+  return args;
+}
+
+function readManifest() {
+  return JSON.parse(fs.readFileSync(MANIFEST_PATH, "utf8"));
+}
+
+function parseNullableNumber(v) {
+  if (v === undefined || v === true || v === "null") return null;
+  const n = Number(v);
+  if (isNaN(n)) throw new Error(`--count inválido: ${v}`);
+  return n;
+}
+
+function promote(args) {
+  const src = args.promote;
+  if (!src || src === true || !fs.existsSync(src)) {
+    console.error(`❌ Arquivo para promover não encontrado: ${src}`);
+    process.exit(1);
+  }
+  const name = String(args.name || path.basename(src, ".html")).replace(/\.html$/, "");
+  const file = `${name}.html`;
+  const manifest = readManifest();
+  if (manifest.some((c) => c.file === file)) {
+    console.error(`❌ Já existe um caso com o arquivo ${file}`);
+    process.exit(1);
+  }
+  const count = parseNullableNumber(args.count);
+  const reason = args.reason === undefined || args.reason === true || args.reason === "null" ? null : String(args.reason);
+  if (reason !== null && !Object.values(BLOCK_REASONS).includes(reason)) {
+    console.error(`❌ --reason inválido: ${reason} (use ${Object.values(BLOCK_REASONS).join(", ")} ou null)`);
+    process.exit(1);
+  }
+
+  fs.copyFileSync(src, path.join(FIXTURES_DIR, file));
+  manifest.push({ file, count, reason });
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + "\n", "utf8");
+  console.log(`✅ Fixture ${file} adicionada (count=${count}, reason=${reason})`);
+}
+
+function runNetworkCase(testCase) {
+  const parsed = parseAdLibraryPayload(fs.readFileSync(path.join(NETWORK_FIXTURES_DIR, testCase.file), "utf8"));
+  const count = parsed ? parsed.count : null;
+  const problems = [];
+  if (count !== testCase.count) problems.push(`count=${count} (esperado ${testCase.count})`);
+  if (testCase.path !== undefined && parsed?.path !== testCase.path) problems.push(`path=${parsed?.path} (esperado ${testCase.path})`);
+  return problems;
+}
+
+function servePayload(url, res) {
+  const name = path.basename(url.searchParams.get("payload") || "");
+  const file = path.join(NETWORK_FIXTURES_DIR, name);
+  if (!name || !fs.existsSync(file)) {
+    res.writeHead(404);
+    return res.end();
+  }
+  res.writeHead(200, { "Content-Type": "application/json; charset=utf-8" });
+  fs.createReadStream(file).pipe(res);
+}
+
+function startServer() {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname.startsWith("/api/graphql")) return servePayload(url, res);
+    const name = path.basename(decodeURIComponent(url.pathname));
+    const file = path.join(FIXTURES_DIR, name);
+    if (!name.endsWith(".html") || !fs.existsSync(file)) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    fs.createReadStream(file).pipe(res);
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+async function runCase(context, baseUrl, testCase) {
+  const page = await context.newPage();
+  page.setDefaultTimeout(SELECTOR_TIMEOUT);
+  const network = watchNetworkCount(page);
+  try {
+    await page.goto(`${baseUrl}/${testCase.file}`, { waitUntil: "domcontentloaded" });
+    const extracted = await attemptExtractFromPage(page, { offerName: testCase.file }, { selectorTimeout: SELECTOR_TIMEOUT, network });
+    const html = await page.content();
+    const classification = classifyPage({ status: 200, url: page.url(), title: await page.title(), html });
+    const { reason } = classification;
+    // Mesma regra do scraper: "nenhum anúncio corresponde" sem contador vale 0
+    const result = extracted.found ? extracted : (emptyResultsCount(classification) ?? extracted);
+    const count = result.found ? result.count : null;
+
+    const problems = [];
+    if (count !== testCase.count) problems.push(`count=${count} (esperado ${testCase.count})`);
+    if (reason !== testCase.reason) problems.push(`reason=${reason} (esperado ${testCase.reason})`);
+    if (testCase.method !== undefined && result.method !== testCase.method) problems.push(`method=${result.method} (esperado ${testCase.method})`);
+    if (testCase.ads !== undefined) {
+      const cards = await extractAdCards(page, { limit: 1000, maxScrolls: 0 });
+      if (cards.length !== testCase.ads) problems.push(`ads=${cards.length} (esperado ${testCase.ads})`);
+      const undated = cards.filter((c) => !c.startedAt).length;
+      if (undated > 0) problems.push(`${undated} card(s) sem data de início`);
+    }
+    return problems;
+  } finally {
+    await page.close();
+  }
+}
+
+/** Imprime o resultado de um caso; retorna true quando ele conta como falha */
+function report(testCase, problems) {
+  if (problems.length === 0 && testCase.todo) {
+    console.log(`🎉 ${testCase.file} passou (remova o "todo" do manifest)`);
+  } else if (problems.length === 0) {
+    console.log(`✅ ${testCase.file}`);
+  } else if (testCase.todo) {
+    console.log(`🚧 ${testCase.file} TODO: ${problems.join(", ")} — ${testCase.todo}`);
+  } else {
+    console.log(`❌ ${testCase.file}: ${problems.join(", ")}`);
+    return true;
+  }
+  return false;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.promote) return promote(args);
+
+  let networkCases = JSON.parse(fs.readFileSync(NETWORK_MANIFEST_PATH, "utf8"));
+  let cases = args["network-only"] ? [] : readManifest();
+  if (args.only) {
+    networkCases = networkCases.filter((c) => c.file.includes(String(args.only)));
+    cases = cases.filter((c) => c.file.includes(String(args.only)));
+  }
+  const total = networkCases.length + cases.length;
+  let failed = 0;
+
+  console.log(`🧪 Rodando ${networkCases.length} payloads de rede...`);
+  for (const testCase of networkCases) {
+    if (report(testCase, runNetworkCase(testCase))) failed++;
+  }
+
+  if (cases.length > 0) {
+    console.log(`🧪 Rodando ${cases.length} fixtures de extração...`);
+    const server = await startServer();
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    let browser = null;
+    try {
+      // Sem Chromium (launch falha) o erro sobe para o main().catch, que sai com código 1
+      browser = await chromium.launch({ headless: true, args: ["--no-sandbox", "--disable-setuid-sandbox"] });
+      const context = await browser.newContext();
+      for (const testCase of cases) {
+        if (report(testCase, await runCase(context, baseUrl, testCase))) failed++;
+      }
+    } finally {
+      if (browser) await browser.close().catch(() => {});
+      server.close();
+    }
+  }
+
+  if (failed > 0) {
+    console.error(`💥 ${failed}/${total} fixtures falharam`);
+    process.exit(1);
+  }
+  console.log("🏁 Todas as fixtures passaram.");
+}
+
+main().catch((e) => {
+  console.error("Erro fatal:", e);
+  process.exit(1);
+});
@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+
+/**
+ * test_units.mjs - checagens unitárias das funções puras (sem navegador, sem DB, sem rede)
+ *
+ * Complementa o test_extraction_fixtures.mjs: aqui só entram funções que recebem dados e
+ * devolvem dados, então roda em qualquer máquina (e no CI antes do Chromium). Os HTMLs de
+ * fixtures/adlibrary/ também passam pelo classifyPage aqui, sem navegador.
+ *
+ * USO:
+ *   node test_units.mjs                 # todos os grupos
+ *   node test_units.mjs --only parse    # filtra pelo nome do grupo
+ *   (ou npm test)
+ */
+
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parseAdCount } from "./parse-ad-count.mjs";
+import { BLOCK_REASONS, classifyPage, emptyResultsCount, isBlockingReason } from "./block-classifier.mjs";
+import { parseAdLibraryPayload, watchNetworkCount } from "./network-count.mjs";
+import { buildDiffPayload, buildFullPayload, buildState, offerHash } from "./eagle-export.mjs";
+import { POOL_OUTCOMES, createAimdController, runAdaptivePool } from "./adaptive-pool.mjs";
+import { createSessionStore } from "./session-store.mjs";
+import { applyFallback, isImplausibleChange, qualityThresholds } from "./data-quality.mjs";
+import { MAX_ATTEMPTS, OFFER_STATES, blockPatch, failurePatch, isEligible, stateOf, successPatch } from "./retry-policy.mjs";
+
+const groups = [];
+
+/** Registra um grupo de casos: cases = [[descrição, () => { asserts }], ...] */
+function group(name, cases) {
+  groups.push({ name, cases });
+}
+
+// ---------------------------------------------------------------------------
+group("parse-ad-count", [
+  ["milhar com ponto", () => assert.deepStrictEqual(parseAdCount("1.234 resultados"), { count: 1234, approximate: false })],
+  ["milhar com espaço", () => assert.deepStrictEqual(parseAdCount("Environ 1 200 résultats"), { count: 1200, approximate: true })],
+  ["vários grupos", () => assert.strictEqual(parseAdCount("1.234.567 resultados").count, 1234567)],
+  ["sufixo com decimal", () => assert.deepStrictEqual(parseAdCount("~1,2 mil resultados"), { count: 1200, approximate: true })],
+  ["sufixo Mio.", () => assert.strictEqual(parseAdCount("~1,5 Mio. Ergebnisse").count, 1500000)],
+  ["zero", () => assert.deepStrictEqual(parseAdCount("0 resultados"), { count: 0, approximate: false })],
+  ["não junta números vizinhos (ano + contador)", () => assert.strictEqual(parseAdCount("2024 1,234 results"), null)],
+  ["separador seguido de 4 dígitos", () => assert.strictEqual(parseAdCount("1,2345 results"), null)],
+  ["separadores misturados", () => assert.strictEqual(parseAdCount("1.234,567 resultados"), null)],
+  ["B = bilhão", () => assert.strictEqual(parseAdCount("1.2B results").count, 1_200_000_000)],
+  ["B turco = mil", () => assert.strictEqual(parseAdCount("~1,2 B sonuç").count, 1200)],
+  ["decimal sem sufixo", () => assert.strictEqual(parseAdCount("~1,2"), null)],
+  ["sem marcador nem palavra", () => assert.strictEqual(parseAdCount("1.234"), null)],
+]);
+
+// ---------------------------------------------------------------------------
+const FIXTURES_DIR = "./fixtures/adlibrary";
+const fixtureHtml = (file) => fs.readFileSync(path.join(FIXTURES_DIR, file), "utf8");
+const fixtureUrl = "https://www.facebook.com/ads/library/?q=teste";
+
+group("block-classifier", [
+  ["status 429 -> rate_limited", () => assert.deepStrictEqual(classifyPage({ status: 429 }), { reason: BLOCK_REASONS.RATE_LIMITED, blocked: true, signals: ["status=429"] })],
+  ["redirect para /login -> login_wall", () => assert.strictEqual(classifyPage({ url: "https://www.facebook.com/login/?next=x" }).reason, BLOCK_REASONS.LOGIN_WALL)],
+  ["redirect para /checkpoint -> checkpoint", () => assert.strictEqual(classifyPage({ url: "https://www.facebook.com/checkpoint/123" }).reason, BLOCK_REASONS.CHECKPOINT)],
+  ["palavras de bloqueio dentro de <script> não contam", () => {
+    const html = `<html><head><title>Ad Library</title><script>var s = "captcha verify blocked login";</script></head><body>ok</body></html>`;
+    assert.deepStrictEqual(classifyPage({ status: 200, url: fixtureUrl, html }), { reason: null, blocked: false, signals: [] });
+  }],
+  ["403 -> forbidden, 407 -> proxy_auth (bloqueios)", () => {
+    assert.deepStrictEqual(classifyPage({ status: 403 }), { reason: BLOCK_REASONS.FORBIDDEN, blocked: true, signals: ["status=403"] });
+    assert.deepStrictEqual(classifyPage({ status: 407 }), { reason: BLOCK_REASONS.PROXY_AUTH, blocked: true, signals: ["status=407"] });
+  }],
+  ["empty_results não é bloqueio", () => assert.ok(!isBlockingReason(BLOCK_REASONS.EMPTY_RESULTS))],
+  ["\"no ads match\" sem contador vale 0", () => {
+    const classification = classifyPage({ status: 200, url: fixtureUrl, html: fixtureHtml("no-ads-match.html") });
+    assert.strictEqual(classification.reason, BLOCK_REASONS.EMPTY_RESULTS);
+    assert.strictEqual(emptyResultsCount(classification).count, 0);
+    assert.strictEqual(emptyResultsCount(classifyPage({ status: 429 })), null);
+  }],
+  ["fixtures/adlibrary: motivo esperado do manifest", () => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, "manifest.json"), "utf8"));
+    for (const { file, reason } of manifest) {
+      assert.strictEqual(classifyPage({ status: 200, url: fixtureUrl, html: fixtureHtml(file) }).reason, reason ?? null, file);
+    }
+  }],
+]);
+
+/** Página mínima para o watchNetworkCount: respond(body) dispara uma resposta de busca da Ad Library */
+function fakePage() {
+  const listeners = [];
+  const request = { url: () => "https://www.facebook.com/ads/library/async/search_ads/", headers: () => ({}), postData: () => null };
+  return {
+    on: (event, fn) => listeners.push(fn),
+    off: () => {},
+    respond: (body) => listeners.forEach((fn) => fn({ request: () => request, url: request.url, text: () => body })),
+  };
+}
+
+group("network-count", [
+  ["prefixo for (;;); + totalCount", () => assert.deepStrictEqual(parseAdLibraryPayload('for (;;);{"payload":{"totalCount":42}}'), { count: 42, path: "$.payload.totalCount" })],
+  ["um JSON por linha", () => assert.strictEqual(parseAdLibraryPayload('{"x":1}\n{"data":{"search_results_connection":{"count":7}}}').count, 7)],
+  ["sem total -> null", () => assert.strictEqual(parseAdLibraryPayload('{"data":{"viewer":{}}}'), null)],
+  ["resposta que não termina não segura o result()", async () => {
+    const page = fakePage();
+    const network = watchNetworkCount(page);
+    page.respond(new Promise(() => {}));
+    const started = Date.now();
+    assert.deepStrictEqual(await network.result({ timeoutMs: 50 }), { found: false });
+    assert.ok(Date.now() - started < 1000);
+  }],
+  ["corpo da navegação anterior ao restart() é descartado", async () => {
+    const page = fakePage();
+    const network = watchNetworkCount(page);
+    let finish;
+    page.respond(new Promise((resolve) => { finish = resolve; }));
+    network.restart();
+    finish('{"payload":{"totalCount":99}}');
+    assert.deepStrictEqual(await network.result({ timeoutMs: 50 }), { found: false });
+    page.respond(Promise.resolve('{"payload":{"totalCount":5}}'));
+    assert.strictEqual((await network.result({ timeoutMs: 50 })).count, 5);
+  }],
+]);
+
+// ---------------------------------------------------------------------------
+const NOW = Date.parse("2026-01-10T12:00:00Z");
+
+group("retry-policy", [
+  ["stateOf", () => {
+    assert.strictEqual(stateOf(null), OFFER_STATES.PENDING);
+    assert.strictEqual(stateOf("success"), OFFER_STATES.SUCCESS);
+    assert.strictEqual(stateOf("dead"), OFFER_STATES.DEAD);
+    assert.strictEqual(stateOf("blocked_ip"), OFFER_STATES.FAILED);
+  }],
+  ["1ª falha fica elegível para o passe de NULLs", () => {
+    const patch = failurePatch({ id: 1, attempts: 0, status_updated: "success" }, "unknown", NOW);
+    assert.strictEqual(patch.attempts, 1);
+    assert.ok(isEligible({ ...patch }, NOW));
+  }],
+  ["falhas seguintes esperam", () => {
+    const patch = failurePatch({ id: 1, attempts: 1, status_updated: "unknown" }, "unknown", NOW);
+    assert.strictEqual(patch.attempts, 2);
+    assert.ok(!isEligible(patch, NOW));
+  }],
+  ["MAX_ATTEMPTS falhas -> dead", () => {
+    const patch = failurePatch({ id: 1, attempts: MAX_ATTEMPTS - 1, status_updated: "unknown" }, "unknown", NOW);
+    assert.strictEqual(patch.status_updated, "dead");
+  }],
+  ["bloqueio não conta tentativa nem mata", () => {
+    for (const reason of ["login_wall", "captcha", "rate_limited", "checkpoint", "forbidden", "proxy_auth", "blocked"]) {
+      const patch = failurePatch({ id: 1, attempts: MAX_ATTEMPTS - 1, status_updated: "unknown" }, reason, NOW);
+      assert.strictEqual(patch.status_updated, reason);
+      assert.strictEqual(patch.attempts, MAX_ATTEMPTS - 1);
+    }
+  }],
+  ["bloqueio confirmado com motivo unknown não conta tentativa", () => {
+    const patch = blockPatch({ id: 1, attempts: MAX_ATTEMPTS - 1, status_updated: "unknown" }, "unknown", NOW);
+    assert.deepStrictEqual([patch.status_updated, patch.attempts], ["unknown", MAX_ATTEMPTS - 1]);
+  }],
+  ["dead só volta para pending", () => {
+    assert.throws(() => successPatch({ id: 1, status_updated: "dead" }), /Transição inválida/);
+    assert.throws(() => failurePatch({ id: 1, status_updated: "dead" }, "unknown"), /Transição inválida/);
+  }],
+]);
+
+// ---------------------------------------------------------------------------
+const eagleOffer = (id, activeAds, d1) => ({ id, offerName: `Oferta ${id}`, activeAds, activeAdsDelta: { d1, d7: null, d30: null }, adLibraryUrl: null });
+
+group("eagle-export", [
+  ["hash ignora os deltas", () => assert.strictEqual(offerHash(eagleOffer(1, 10, 2)), offerHash(eagleOffer(1, 10, -5)))],
+  ["hash muda com activeAds", () => assert.notStrictEqual(offerHash(eagleOffer(1, 10, 2)), offerHash(eagleOffer(1, 11, 2)))],
+  ["diff: só delta mudou -> nada a enviar", () => {
+    const before = [eagleOffer(1, 10, 0), eagleOffer(2, 20, 0)];
+    const state = buildState(before, buildFullPayload(before));
+    const diff = buildDiffPayload([eagleOffer(1, 10, 3), eagleOffer(2, 20, -1)], state);
+    assert.deepStrictEqual([diff.added.length, diff.changed.length, diff.removed.length], [0, 0, 0]);
+  }],
+  ["diff: added / changed / removed", () => {
+    const before = [eagleOffer(1, 10, 0), eagleOffer(2, 20, 0)];
+    const state = buildState(before, buildFullPayload(before));
+    const diff = buildDiffPayload([eagleOffer(1, 12, 2), eagleOffer(3, 5, null)], state);
+    assert.deepStrictEqual(diff.added.map((o) => o.id), [3]);
+    assert.deepStrictEqual(diff.changed.map((o) => o.id), [1]);
+    assert.deepStrictEqual(diff.removed, [2]);
+    assert.strictEqual(diff.baseGeneratedAt, state.generatedAt);
+  }],
+]);
+
+// ---------------------------------------------------------------------------
+const DQ = qualityThresholds({});
+
+group("data-quality", [
+  ["10x para cima ou para baixo é implausível", () => {
+    assert.ok(isImplausibleChange(20, 200, DQ));
+    assert.ok(isImplausibleChange(200, 20, DQ));
+    assert.ok(!isImplausibleChange(200, 21, DQ));
+  }],
+  ["base pequena não conta", () => assert.ok(!isImplausibleChange(19, 1000, DQ))],
+  ["zerar não é implausível (oferta morreu)", () => assert.ok(!isImplausibleChange(80, 0, DQ))],
+  ["fallback troca o valor e anula os deltas", () => {
+    const quality = { offenders: { implausible: [{ id: 1, previous: 100, current: 5 }], nulls: [2], missing: [] } };
+    const snapshots = [{ offer_id: 2, activeAds: 30, scraped_at: "2026-01-09T12:00:00Z" }];
+    const { offers, replaced } = applyFallback([eagleOffer(1, 5, -95), eagleOffer(2, null, null), eagleOffer(3, 0, -80)], quality, snapshots);
+    assert.strictEqual(replaced, 2);
+    assert.deepStrictEqual(offers.map((o) => [o.activeAds, o.activeAdsFallback ?? false, o.activeAdsDelta.d1]), [[100, true, null], [30, true, null], [0, false, -80]]);
+  }],
+]);
+
+// ---------------------------------------------------------------------------
+group("adaptive-pool", [
+  ["erro no next() encerra o pool depois dos itens em voo", async () => {
+    const items = [1, 2];
+    const done = [];
+    const { nextError } = await runAdaptivePool({
+      next: async () => {
+        if (items.length === 0) throw new Error("claim falhou");
+        return items.shift();
+      },
+      run: async (item) => {
+        done.push(item);
+        return POOL_OUTCOMES.SUCCESS;
+      },
+      controller: createAimdController({ initial: 1 }),
+    });
+    assert.deepStrictEqual(done, [1, 2]);
+    assert.match(nextError.message, /claim falhou/);
+  }],
+  ["backoff() derruba o limite para o mínimo", () => {
+    const changes = [];
+    const controller = createAimdController({ initial: 4, min: 1, max: 8, onChange: (limit) => changes.push(limit) });
+    controller.backoff("30 bloqueios");
+    assert.strictEqual(controller.limit(), 1);
+    assert.deepStrictEqual(changes, [1]);
+  }],
+  ["fila vazia -> nextError null", async () => {
+    const result = await runAdaptivePool({ next: async () => null, run: async () => POOL_OUTCOMES.SUCCESS, controller: createAimdController({ initial: 2 }) });
+    assert.deepStrictEqual(result, { nextError: null });
+  }],
+]);
+
+// ---------------------------------------------------------------------------
+const fakeContext = (key, store) => ({ __sessionKey: key, __sessionEpoch: store.epoch(key), storageState: async () => ({ cookies: [], origins: [] }) });
+
+group("session-store", [
+  ["irmão com a mesma chave não regrava a sessão invalidada", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-"));
+    const store = createSessionStore({ dir });
+    const blocked = fakeContext("perfil__proxy", store);
+    const sibling = fakeContext("perfil__proxy", store);
+    assert.ok(await store.save(sibling));
+    assert.ok(store.invalidate(blocked));
+    assert.strictEqual(store.load("perfil__proxy"), null);
+    assert.ok(!(await store.save(sibling)));
+    assert.strictEqual(store.load("perfil__proxy"), null);
+    const fresh = fakeContext("perfil__proxy", store);
+    assert.ok(await store.save(fresh));
+    assert.ok(store.invalidate(sibling)); // irmão velho bloqueado depois não apaga a sessão nova
+    assert.notStrictEqual(store.load("perfil__proxy"), null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }],
+]);
+
+// ---------------------------------------------------------------------------
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) args[a.slice(2)] = true;
+    else { args[a.slice(2)] = next; i++; }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const selected = args.only ? groups.filter((g) => g.name.includes(String(args.only))) : groups;
+  let total = 0;
+  let failed = 0;
+  for (const { name, cases } of selected) {
+    console.log(`🧪 ${name}`);
+    for (const [description, fn] of cases) {
+      total++;
+      try {
+        await fn();
+        console.log(`  ✅ ${description}`);
+      } catch (e) {
+        failed++;
+        console.log(`  ❌ ${description}: ${e.message}`);
+      }
+    }
+  }
+  if (failed > 0) {
+    console.error(`💥 ${failed}/${total} checagens falharam`);
+    process.exit(1);
+  }
+  console.log(`🏁 ${total} checagens passaram.`);
+}
+
+main().catch((e) => {
+  console.error("Erro fatal:", e);
+  process.exit(1);
+});
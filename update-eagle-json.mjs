@@ -1,87 +1,163 @@
 // update-eagle-json.mjs
+//
+// Gera eagle_offers_data.json (sempre completo) e envia para EAGLE_UPDATE_URL (ver eagle-export.mjs).
+// Env: EAGLE_EXPORT_MODE=full|diff (default full; diff envia só o que mudou desde o último upload
+// bem-sucedido, ou o completo se não houver estado), EAGLE_SIGNING_SECRET (assina com HMAC),
+// EAGLE_GZIP=true, EAGLE_UPLOAD_RETRIES (default 3), EAGLE_STATE_FILE.
+// Antes de publicar passa pelo gate de qualidade (data-quality.mjs): DQ_ON_FAIL=refuse|fallback|warn,
+// relatório em DQ_REPORT_FILE.
 import fs from "fs";
-import { supabase } from "./supabase.js";
+import { getOfferRepository } from "./offer-repository.mjs";
+import { computeDeltas, fetchHistorySince, historyWindowStart } from "./history.mjs";
+import { LOG_PHASES, createLogger } from "./logger.mjs";
+import { parseCountryBreakdown } from "./country-counts.mjs";
+import { cleanValue as fix } from "./offer-export.mjs";
+import { DQ_ACTIONS, applyFallback, checkDataQuality, formatQualityReport, qualityThresholds, writeQualityReport } from "./data-quality.mjs";
+import {
+  PAYLOAD_KINDS,
+  buildDiffPayload,
+  buildFullPayload,
+  buildState,
+  loadState,
+  prepareUpload,
+  saveState,
+  uploadWithRetry,
+} from "./eagle-export.mjs";
 
 const fetchFn = globalThis.fetch || (await import("node-fetch")).default;
+const log = createLogger({ script: "update-eagle-json" });
+
+const EXPORT_MODE = String(process.env.EAGLE_EXPORT_MODE || PAYLOAD_KINDS.FULL).toLowerCase();
+const SIGNING_SECRET = process.env.EAGLE_SIGNING_SECRET || null;
+const GZIP = String(process.env.EAGLE_GZIP || "false").toLowerCase() === "true";
+const UPLOAD_RETRIES = Math.max(0, parseInt(process.env.EAGLE_UPLOAD_RETRIES || "3", 10));
+const DQ_ON_FAIL = String(process.env.DQ_ON_FAIL || "refuse").toLowerCase();
+const DQ_WINDOW_HOURS = parseFloat(process.env.DQ_WINDOW_HOURS || "24");
 
 async function main() {
-  console.log("🦅 Iniciando atualização do eagle_offers_data.json...");
+  log.info("🦅 Iniciando atualização do eagle_offers_data.json...");
+  if (!DQ_ACTIONS.includes(DQ_ON_FAIL)) {
+    log.error(`❌ DQ_ON_FAIL desconhecido: ${DQ_ON_FAIL} (use ${DQ_ACTIONS.join(", ")})`);
+    process.exit(1);
+  }
 
-  const { data: offers, error } = await supabase
-    .from("swipe_file_offers")
-    .select("*")
-    .order("updated_at", { ascending: false });
+  const { data: offers, error } = await getOfferRepository().listOffers({
+    orderBy: { column: "updated_at", ascending: false },
+  });
 
   if (error) {
-    console.error("❌ Erro ao buscar ofertas do Supabase:", error.message);
+    log.error("❌ Erro ao buscar ofertas", { phase: LOG_PHASES.DB, err: error });
     process.exit(1);
   }
 
   if (!offers || offers.length === 0) {
-    console.log("⚠️ Nenhuma oferta encontrada no banco. Abortando atualização.");
+    log.warn("⚠️ Nenhuma oferta encontrada no banco. Abortando atualização.", { phase: LOG_PHASES.DB });
     process.exit(0);
   }
 
-  // Função para converter strings "null", "", undefined em null literal
-  const fix = (v) =>
-    v === null || v === undefined || v === "" || v === "null" || v === "NULL"
-      ? null
-      : v;
+  // Deltas de activeAds (1d/7d/30d) a partir da série histórica
+  const { data: history, error: historyError } = await fetchHistorySince(historyWindowStart());
+  if (historyError) {
+    log.warn("⚠️ Erro ao buscar histórico, deltas serão null", { phase: LOG_PHASES.DB, err: historyError });
+  }
+  const deltas = computeDeltas(history || []);
+  const emptyDelta = { d1: null, d7: null, d30: null };
 
   // Gera estrutura formatada corretamente
-  const formatted = {
-    version: new Date().toISOString().slice(0, 10),
-    offers: offers.map((o) => ({
-      id: fix(o.id),
-      offerName: fix(o.offerName),
-      niche: fix(o.niche),
-      activeAds:
-        typeof o.activeAds === "number"
-          ? o.activeAds
-          : Number(o.activeAds) || null,
-      location: fix(o.location),
-      funnel: fix(o.funnel),
-      deliverable: fix(o.deliverable),
-      ticket: fix(o.ticket),
-      dateAdded: fix(o.dateAdded ?? o.created_at),
-      adLibraryUrl: fix(o.adLibraryUrl),
-      pageUrl: fix(o.pageUrl),
-      checkoutUrl: fix(o.checkoutUrl),
-    })),
-  };
-
-  const json = JSON.stringify(formatted, null, 2);
-  fs.writeFileSync("eagle_offers_data.json", json);
-  console.log(`✅ Gerado arquivo local com ${offers.length} ofertas.`);
+  const formattedOffers = offers.map((o) => ({
+    id: fix(o.id),
+    offerName: fix(o.offerName),
+    niche: fix(o.niche),
+    activeAds:
+      typeof o.activeAds === "number"
+        ? o.activeAds
+        : Number(o.activeAds) || null,
+    activeAdsFallback: false,
+    activeAdsDelta: deltas.get(o.id) || emptyDelta,
+    activeAdsByCountry: parseCountryBreakdown(o.active_ads_by_country),
+    location: fix(o.location),
+    funnel: fix(o.funnel),
+    deliverable: fix(o.deliverable),
+    ticket: fix(o.ticket),
+    dateAdded: fix(o.dateAdded ?? o.created_at),
+    adLibraryUrl: fix(o.adLibraryUrl),
+    pageUrl: fix(o.pageUrl),
+    checkoutUrl: fix(o.checkoutUrl),
+  }));
+
+  // Gate de qualidade: uma noite ruim (bloqueio em massa) não pode publicar centenas de NULLs
+  const since = new Date(Date.now() - DQ_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+  const thresholds = qualityThresholds();
+  const quality = checkDataQuality(offers.filter((o) => o.deleted_at == null), history || [], { since, thresholds });
+  let publishOffers = formattedOffers;
+  let fallback = null;
+  if (!quality.ok && DQ_ON_FAIL === "fallback") {
+    fallback = applyFallback(formattedOffers, quality, history || []);
+    publishOffers = fallback.offers;
+  }
+  const reportFile = writeQualityReport(formatQualityReport(quality, { action: DQ_ON_FAIL, thresholds, since, fallback }));
+  const failed = quality.checks.filter((c) => !c.ok).map((c) => c.name);
+  if (quality.ok) {
+    log.info(`✅ Gate de qualidade aprovado (relatório: ${reportFile})`, { phase: LOG_PHASES.EXPORT });
+  } else if (DQ_ON_FAIL === "refuse") {
+    log.error(`❌ Gate de qualidade reprovado (${failed.join(", ")}) — publicação recusada. Relatório: ${reportFile}`, { phase: LOG_PHASES.EXPORT, checks: quality.checks });
+    process.exit(1);
+  } else if (fallback) {
+    log.warn(`⚠️ Gate de qualidade reprovado (${failed.join(", ")}) — publicando com o último valor bom`, { phase: LOG_PHASES.EXPORT, replaced: fallback.replaced, dropped: fallback.dropped, report: reportFile });
+  } else {
+    log.warn(`⚠️ Gate de qualidade reprovado (${failed.join(", ")}) — publicando mesmo assim (DQ_ON_FAIL=warn)`, { phase: LOG_PHASES.EXPORT, report: reportFile });
+  }
+
+  const formatted = buildFullPayload(publishOffers);
+
+  fs.writeFileSync("eagle_offers_data.json", JSON.stringify(formatted, null, 2));
+  log.info(`✅ Gerado arquivo local com ${publishOffers.length} ofertas (schema ${formatted.schemaVersion}).`, { phase: LOG_PHASES.EXPORT });
 
   const uploadUrl = process.env.EAGLE_UPDATE_URL;
   if (!uploadUrl) {
-    console.error("❌ Variável EAGLE_UPDATE_URL não definida nos secrets.");
+    log.error("❌ Variável EAGLE_UPDATE_URL não definida nos secrets.", { phase: LOG_PHASES.EXPORT });
     process.exit(1);
   }
 
-  console.log(`🌐 Enviando JSON atualizado para ${uploadUrl} ...`);
-
-  try {
-    const res = await fetchFn(uploadUrl, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: json,
-    });
-
-    const text = await res.text();
-    if (!res.ok) {
-      console.error(`❌ Falha no upload: ${res.status} ${res.statusText}`);
-      console.error("Resposta do servidor:", text);
-      process.exit(1);
+  // Diff só com estado de um upload anterior; sem ele (primeira execução, cache perdido) vai o completo
+  const state = EXPORT_MODE === PAYLOAD_KINDS.DIFF ? loadState() : null;
+  if (EXPORT_MODE === PAYLOAD_KINDS.DIFF && !state) {
+    log.warn("⚠️ Sem estado do último upload — enviando payload completo", { phase: LOG_PHASES.EXPORT });
+  }
+  const payload = state ? buildDiffPayload(publishOffers, state, new Date(formatted.generatedAt)) : formatted;
+  if (payload.kind === PAYLOAD_KINDS.DIFF) {
+    const counts = { added: payload.added.length, changed: payload.changed.length, removed: payload.removed.length };
+    if (counts.added + counts.changed + counts.removed === 0) {
+      log.info("✅ Nada mudou desde o último upload — envio dispensado.", { phase: LOG_PHASES.EXPORT });
+      return;
     }
+    log.info("🧮 Diff desde o último upload", { phase: LOG_PHASES.EXPORT, base: payload.baseGeneratedAt, ...counts });
+  }
 
-    console.log("✅ Upload concluído com sucesso!");
-    console.log("🔍 Resposta do servidor:", text);
-  } catch (err) {
-    console.error("❌ Erro ao enviar arquivo:", err.message);
+  const upload = prepareUpload(payload, { secret: SIGNING_SECRET, gzip: GZIP });
+  if (!SIGNING_SECRET) log.warn("⚠️ EAGLE_SIGNING_SECRET não definida — upload sem assinatura", { phase: LOG_PHASES.EXPORT });
+  log.info(`🌐 Enviando JSON (${payload.kind}${GZIP ? ", gzip" : ""}, ${upload.body.length} bytes) para ${uploadUrl} ...`, { phase: LOG_PHASES.EXPORT });
+
+  const res = await uploadWithRetry(uploadUrl, upload, {
+    retries: UPLOAD_RETRIES,
+    fetchFn,
+    onRetry: (n, delayMs, reason) => log.warn(`🔁 Upload falhou (${reason}) — tentativa ${n + 1}/${UPLOAD_RETRIES + 1} em ${delayMs}ms`, { phase: LOG_PHASES.EXPORT }),
+  });
+  if (!res.ok) {
+    if (res.error) log.error("❌ Erro ao enviar arquivo", { phase: LOG_PHASES.EXPORT, err: res.error, attempts: res.attempts });
+    else log.error(`❌ Falha no upload: ${res.status}`, { phase: LOG_PHASES.EXPORT, status: res.status, response: res.body, attempts: res.attempts });
     process.exit(1);
   }
+
+  log.info("✅ Upload concluído com sucesso!", { phase: LOG_PHASES.EXPORT, response: res.body, attempts: res.attempts });
+  try {
+    saveState(buildState(publishOffers, payload));
+  } catch (err) {
+    log.warn("⚠️ Falha ao gravar estado do upload (o próximo diff vira completo)", { phase: LOG_PHASES.EXPORT, err });
+  }
 }
 
-main();
+main().catch((err) => {
+  log.error("❌ Erro fatal", { phase: LOG_PHASES.EXPORT, err });
+  process.exit(1);
+});